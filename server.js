@@ -2,6 +2,7 @@ import express from 'express';
 import http from 'http';
 import https from 'https';
 import fs from 'fs';
+import { timingSafeEqual } from 'crypto';
 
 import { SwapServer } from './swap-protocol/src/index.node.js';
 
@@ -41,7 +42,27 @@ const swapServer = new SwapServer({
     integrity: true,
     encryption: false,
     sharedSecret: process.env.SWAP_SHARED_SECRET || null
-  }
+  },
+  // Require a bearer JWT (HS256 secret or RS256 public key file) at WebSocket upgrade when configured
+  auth: process.env.SWAP_JWT_SECRET || process.env.SWAP_JWT_PUBLIC_KEY_FILE
+    ? {
+      jwt: {
+        secret: process.env.SWAP_JWT_SECRET || undefined,
+        publicKey: process.env.SWAP_JWT_PUBLIC_KEY_FILE ? fs.readFileSync(process.env.SWAP_JWT_PUBLIC_KEY_FILE, 'utf8') : undefined,
+        issuer: process.env.SWAP_JWT_ISSUER || undefined,
+        audience: process.env.SWAP_JWT_AUDIENCE || undefined
+      }
+    }
+    : undefined,
+  // Criteria-scoped authorization rules for register/connect (JSON policy file)
+  authorization: process.env.SWAP_AUTHZ_POLICY_FILE || undefined,
+  // Registration lifetimes in seconds (unset: registrations last until the socket closes)
+  registration: {
+    defaultExpires: process.env.SWAP_REGISTRATION_EXPIRES ? Number(process.env.SWAP_REGISTRATION_EXPIRES) : null,
+    maxExpires: process.env.SWAP_REGISTRATION_MAX_EXPIRES ? Number(process.env.SWAP_REGISTRATION_MAX_EXPIRES) : null
+  },
+  // Keep registrations and sessions of dropped endpoints for this many ms so they can resume
+  resumption: process.env.SWAP_RESUMPTION_GRACE_MS ? { grace: Number(process.env.SWAP_RESUMPTION_GRACE_MS) } : undefined
 });
 
 // Health check endpoint
@@ -53,6 +74,24 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Constant-time comparison of an Authorization header with the expected bearer token
+function bearerMatches(header, token) {
+  const given = Buffer.from(header || '');
+  const expected = Buffer.from(`Bearer ${token}`);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+// Admin dry-run discovery: POST { criteria } -> what a connect with these criteria would reach.
+// Enabled only when SWAP_ADMIN_TOKEN is set; requires it as a bearer token.
+app.post('/admin/discover', express.json(), (req, res) => {
+  const token = process.env.SWAP_ADMIN_TOKEN;
+  if (!token) return res.status(404).end();
+  if (!bearerMatches(req.get('authorization'), token)) return res.status(401).json({ error: 'unauthorized' });
+  const criteria = req.body?.criteria;
+  if (!Array.isArray(criteria)) return res.status(400).json({ error: 'criteria must be an array' });
+  res.json(swapServer.discover(criteria));
+});
+
 // Start server
 async function start() {
   await swapServer.start();
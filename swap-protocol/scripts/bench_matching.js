@@ -0,0 +1,71 @@
+// Lookup benchmark for MatchingEngine: node scripts/bench_matching.js [endpoints] [lookups]
+// Exits non-zero when a lookup without an exact-match criterion is not sub-millisecond.
+import { performance } from 'node:perf_hooks';
+import { MatchingEngine } from '../src/matching/MatchingEngine.js';
+
+const endpoints = Number(process.argv[2]) || 100000;
+const lookups = Number(process.argv[3]) || 10000;
+const services = 1000;
+const cells = 2500;
+const regions = ['eu/fr/paris', 'eu/de/berlin', 'us/ny/nyc', 'ap/jp/tokyo'];
+
+const engine = new MatchingEngine();
+let start = performance.now();
+for (let i = 0; i < endpoints; i++) {
+  engine.register(`ep-${i}`, [
+    { type: 'service', value: `svc-${i % services}` },
+    { type: 'user', value: `user-${i}` },
+    { type: 'location', value: `${regions[i % regions.length]}/cell-${i % cells}` },
+    { type: 'qos', value: { latencyMs: 5 + (i % 2000) } },
+    { type: 'ipv4', value: `10.${(i >> 16) & 255}.${(i >> 8) & 255}.${i & 255}` }
+  ]);
+}
+console.log(`registered ${endpoints} endpoints in ${(performance.now() - start).toFixed(0)} ms`);
+
+const scenarios = {
+  'service': (i) => [{ type: 'service', value: `svc-${i % services}` }],
+  'service + location': (i) => [
+    { type: 'service', value: `svc-${i % services}` },
+    { type: 'location', value: 'eu' }
+  ],
+  'service + qos': (i) => [
+    { type: 'service', value: `svc-${i % services}` },
+    { type: 'qos', value: { latencyMs: { max: 1000 } } }
+  ],
+  'user': (i) => [{ type: 'user', value: `user-${(i * 7919) % endpoints}` }]
+};
+
+// No exact-match criterion to narrow on: served by the location, ipv4 and qos value indexes.
+// Each must stay sub-millisecond.
+const pick = (i) => (i * 7919) % endpoints;
+const indexedScenarios = {
+  'location': (i) => [{ type: 'location', value: `${regions[pick(i) % regions.length]}/cell-${pick(i) % cells}` }],
+  'ipv4': (i) => [{ type: 'ipv4', value: `10.${(pick(i) >> 16) & 255}.${(pick(i) >> 8) & 255}.${pick(i) & 192}/26` }],
+  'qos': (i) => [{ type: 'qos', value: { latencyMs: { min: 5 + (i % 1999), max: 6 + (i % 1999) } } }]
+};
+
+const run = (name, build, count) => {
+  let found = 0;
+  start = performance.now();
+  for (let i = 0; i < count; i++) {
+    const ranked = engine.rank(build(i));
+    if (engine.selectEndpoint(ranked, { criteria: build(i) })) found++;
+  }
+  const perLookup = (performance.now() - start) / count;
+  console.log(`${name.padEnd(20)} ${(perLookup * 1000).toFixed(1).padStart(10)} µs/lookup  (${found}/${count} matched)`);
+  return perLookup;
+};
+
+for (const [name, build] of Object.entries(scenarios)) run(name, build, lookups);
+for (const [name, build] of Object.entries(indexedScenarios)) {
+  const perLookup = run(`${name} (indexed)`, build, lookups);
+  if (perLookup >= 1) {
+    console.log(`FAIL: ${name} lookups take ${perLookup.toFixed(2)} ms, expected under 1 ms`);
+    process.exitCode = 1;
+  }
+}
+
+start = performance.now();
+for (let i = 0; i < lookups; i++) engine.register(`ep-${i}`, [{ type: 'service', value: `svc-${(i + 1) % services}` }]);
+for (let i = 0; i < lookups; i++) engine.unregister(`ep-${i}`);
+console.log(`re-register + unregister ${lookups} endpoints: ${(((performance.now() - start) / lookups) * 1000).toFixed(1)} µs each`);
@@ -0,0 +1,75 @@
+// Connects waiting for a busy endpoint to free up. Entries are ordered by priority (highest first),
+// then by arrival; the priority of a connect is the highest one its criteria earn from
+// `priorities`, e.g. { tier: { gold: 10, silver: 5 } }.
+export class CallQueue {
+  constructor(options = {}) {
+    this.maxSize = options.maxSize ?? 100;
+    this.timeout = options.timeout ?? 60000; // ms a connect may wait before it is given up
+    this.priorities = options.priorities || {};
+    // Estimated time one serving slot holds a call, refined from observed dispatches
+    this.serviceInterval = options.serviceInterval ?? 30000;
+    this.entries = []; // { source, message, priority, enqueuedAt, timer, notified }
+    this._lastDispatch = null;
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  priorityOf(criteria = []) {
+    let priority = 0;
+    for (const c of criteria) {
+      const p = this.priorities[c.type]?.[c.value];
+      if (typeof p === 'number' && p > priority) priority = p;
+    }
+    return priority;
+  }
+
+  // Returns the queued entry, or null when the queue is full
+  enqueue(source, message) {
+    if (this.entries.length >= this.maxSize) return null;
+    const entry = { source, message, priority: this.priorityOf(message.criteria), enqueuedAt: Date.now(), timer: null, notified: 0 };
+    const at = this.entries.findIndex(e => e.priority < entry.priority);
+    if (at === -1) this.entries.push(entry);
+    else this.entries.splice(at, 0, entry);
+    return entry;
+  }
+
+  get(source) {
+    return this.entries.find(e => e.source === source) || null;
+  }
+
+  remove(source) {
+    const at = this.entries.findIndex(e => e.source === source);
+    if (at === -1) return null;
+    const [entry] = this.entries.splice(at, 1);
+    clearTimeout(entry.timer);
+    return entry;
+  }
+
+  // Take an entry out for dispatch and fold the gap since the previous dispatch into the estimate.
+  // slots: calls the endpoints serving it can hold at once, so that gap times slots is one hold time.
+  dispatch(source, slots = 1) {
+    const entry = this.remove(source);
+    if (!entry) return null;
+    const now = Date.now();
+    if (this._lastDispatch !== null) this.serviceInterval = Math.round(0.8 * this.serviceInterval + 0.2 * (now - this._lastDispatch) * Math.max(1, slots));
+    this._lastDispatch = now;
+    return entry;
+  }
+
+  // 1-based position, or 0 if not queued
+  position(source) {
+    return this.entries.findIndex(e => e.source === source) + 1;
+  }
+
+  // Estimated wait in seconds for a position, with slots calls served at once
+  estimatedWait(position, slots = 1) {
+    return Math.round((position * this.serviceInterval) / Math.max(1, slots) / 1000);
+  }
+
+  clear() {
+    for (const e of this.entries) clearTimeout(e.timer);
+    this.entries = [];
+  }
+}
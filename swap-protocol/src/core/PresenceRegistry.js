@@ -0,0 +1,79 @@
+// Presence subscriptions: endpoints watching a criteria set get told when matching endpoints
+// register, unregister, or become busy/available (maxSessions). Methods return the notifications
+// to deliver as [{ owner, value: { subscription, event, endpoint } }]; sending is up to the caller.
+export class PresenceRegistry {
+  // visible(owner, endpointId): whether a subscriber may hear about an endpoint at all
+  constructor(matching, { visible } = {}) {
+    this.matching = matching;
+    this.visible = visible || (() => true);
+    this.subscriptions = new Map(); // owner source_id -> Map<subscription id, { criteria, matched: Set }>
+    this.busy = new Set(); // endpoints last reported as saturated
+  }
+
+  // Returns a 'registered' notification for every endpoint already matching, each followed by
+  // 'busy' if that endpoint is at its limit
+  subscribe(owner, id, criteria) {
+    const matched = new Set(this.matching.findMatches(criteria).filter(e => e !== owner && this.visible(owner, e)));
+    if (!this.subscriptions.has(owner)) this.subscriptions.set(owner, new Map());
+    this.subscriptions.get(owner).set(id, { criteria, matched });
+    return [...matched].flatMap(endpoint => [
+      this._note(owner, id, 'registered', endpoint),
+      ...(this.busy.has(endpoint) ? [this._note(owner, id, 'busy', endpoint)] : [])
+    ]);
+  }
+
+  unsubscribe(owner, id) {
+    const subs = this.subscriptions.get(owner);
+    const removed = !!subs?.delete(id);
+    if (subs && !subs.size) this.subscriptions.delete(owner);
+    return removed;
+  }
+
+  removeOwner(owner) {
+    this.subscriptions.delete(owner);
+  }
+
+  // A registration was added or its criteria changed
+  registered(endpointId) {
+    const notes = [];
+    for (const [owner, id, sub] of this._each()) {
+      if (owner === endpointId) continue;
+      const now = this.matching.matches(endpointId, sub.criteria) && this.visible(owner, endpointId);
+      if (now === sub.matched.has(endpointId)) continue;
+      if (now) sub.matched.add(endpointId);
+      else sub.matched.delete(endpointId);
+      notes.push(this._note(owner, id, now ? 'registered' : 'unregistered', endpointId));
+    }
+    return notes;
+  }
+
+  unregistered(endpointId) {
+    this.busy.delete(endpointId);
+    const notes = [];
+    for (const [owner, id, sub] of this._each()) {
+      if (sub.matched.delete(endpointId)) notes.push(this._note(owner, id, 'unregistered', endpointId));
+    }
+    return notes;
+  }
+
+  availability(endpointId, busy) {
+    if (busy === this.busy.has(endpointId)) return [];
+    if (busy) this.busy.add(endpointId);
+    else this.busy.delete(endpointId);
+    const notes = [];
+    for (const [owner, id, sub] of this._each()) {
+      if (sub.matched.has(endpointId)) notes.push(this._note(owner, id, busy ? 'busy' : 'available', endpointId));
+    }
+    return notes;
+  }
+
+  * _each() {
+    for (const [owner, subs] of this.subscriptions) {
+      for (const [id, sub] of subs) yield [owner, id, sub];
+    }
+  }
+
+  _note(owner, subscription, event, endpoint) {
+    return { owner, value: { subscription, event, endpoint } };
+  }
+}
@@ -0,0 +1,74 @@
+import { Emitter } from '../utils/Emitter.js';
+
+// Client side of a presence subscription. Emits 'presence' ({ subscription, event, endpoint })
+// plus 'registered' / 'unregistered' / 'busy' / 'available' (endpoint), and can be consumed
+// with `for await (const event of subscription)` until unsubscribe().
+export class PresenceSubscription extends Emitter {
+  constructor(client, id, criteria, options = {}) {
+    super();
+    this.client = client;
+    this.id = id;
+    this.criteria = criteria;
+    this.closed = false;
+    // Events kept for the iterator, and held until the first listener; oldest dropped first
+    this.maxBuffer = options.maxBuffer ?? 1000;
+    this._buffer = [];
+    this._waiters = [];
+    this._held = []; // the initial snapshot and later events, until a listener or iterator attaches
+    this._opening = false;
+  }
+
+  on(event, fn) {
+    super.on(event, fn);
+    this._attached();
+    return this;
+  }
+
+  _push(event) {
+    if (this.closed) return;
+    if (this._held) {
+      if (this._held.push(event) > this.maxBuffer) this._held.shift();
+      return;
+    }
+    this.emit('presence', event);
+    this.emit(event.event, event.endpoint);
+    if (this._waiters.length) this._waiters.shift()({ value: event, done: false });
+    else if (this._buffer.push(event) > this.maxBuffer) this._buffer.shift();
+  }
+
+  // Deliver once the current task is done, so listeners attached alongside the first one see it all
+  _attached() {
+    if (!this._held || this._opening) return;
+    this._opening = true;
+    queueMicrotask(() => this._open());
+  }
+
+  // Start delivering, beginning with the held initial snapshot
+  _open() {
+    const held = this._held || [];
+    this._held = null;
+    for (const event of held) this._push(event);
+  }
+
+  async unsubscribe() {
+    if (this.closed) return;
+    this.closed = true;
+    for (const resolve of this._waiters.splice(0)) resolve({ value: undefined, done: true });
+    await this.client._unsubscribe(this);
+  }
+
+  [Symbol.asyncIterator]() {
+    this._attached();
+    return {
+      next: () => {
+        if (this._buffer.length) return Promise.resolve({ value: this._buffer.shift(), done: false });
+        if (this.closed) return Promise.resolve({ value: undefined, done: true });
+        return new Promise((resolve) => this._waiters.push(resolve));
+      },
+      return: async () => {
+        await this.unsubscribe();
+        return { value: undefined, done: true };
+      }
+    };
+  }
+}
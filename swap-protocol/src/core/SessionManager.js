@@ -1,15 +1,15 @@
 export class SessionManager {
   constructor() {
-    this.sessions = new Map(); // key `${a}|${b}` → { a, b, state }
+    this.sessions = new Map(); // key `${a}|${b}` → { a, b, state, ... }
   }
 
   _key(a, b) {
     return [a, b].sort().join('|');
   }
 
-  create(a, b) {
+  create(a, b, extra = {}) {
     const key = this._key(a, b);
-    const session = { a, b, state: 'active', createdAt: Date.now() };
+    const session = { a, b, state: 'active', createdAt: Date.now(), ...extra };
     this.sessions.set(key, session);
     return session;
   }
@@ -1,28 +1,31 @@
-import { Emitter } from '../utils/Emitter.js';
 import { WebSocketTransport } from '../transport/WebSocketTransport.js';
-import { StateMachine, States } from '../state/StateMachine.js';
-import { SessionManager } from './SessionManager.js';
+import { SwapEndpoint } from './SwapEndpoint.js';
 import { defaultLogger } from '../utils/Logger.js';
 import { SecurityManager } from '../security/SecurityManager.js';
 import { MessageFactory } from '../messages/MessageFactory.js';
 import { RegisterMessage } from '../messages/RegisterMessage.js';
-import { ConnectMessage } from '../messages/ConnectMessage.js';
-import { AcceptMessage } from '../messages/AcceptMessage.js';
-import { RejectMessage } from '../messages/RejectMessage.js';
-import { UpdateMessage } from '../messages/UpdateMessage.js';
-import { CloseMessage } from '../messages/CloseMessage.js';
-import { ApplicationMessage } from '../messages/ApplicationMessage.js';
-
-export class SwapClient extends Emitter {
+import { generateSourceId } from '../utils/IdGenerator.js';
+import { WireProfiles } from '../messages/WireFormat.js';
+import { SwapError } from '../errors/SwapError.js';
+import { PresenceSubscription } from './PresenceSubscription.js';
+
+export class SwapClient extends SwapEndpoint {
   constructor(options = {}) {
     super();
     this.options = options;
     this.transport = new WebSocketTransport(options);
-    this.stateMachine = new StateMachine();
-    this.sessions = new SessionManager();
     this.logger = options.logger || defaultLogger;
     this.security = new SecurityManager(options.security || {});
-    this.pending = new Map(); // message_id -> { resolve, reject, timer }
+    // The server keys sessions on (source, target), so keep one source_id for the client's lifetime
+    this.sourceId = options.identity?.source_id || generateSourceId('ep');
+    this.profile = options.profile || WireProfiles.LEGACY; // wire profile used for outgoing messages
+    this.pending = new Map(); // message_id -> { resolve, reject, timer, payload }
+    this.subscriptions = new Map(); // presence subscription id -> PresenceSubscription
+    this.serverId = null; // source_id the server answers with, learned from its responses
+    this.resumeToken = null; // issued at register by servers with a reconnection grace period
+    this.discoveries = new Map(); // discovery id -> { resolve, reject, timer }
+    this.registration = null; // { criteria, options } of the standing registration, replayed after a reconnect
+    this.reconnecting = false; // requests are held, not sent, until the connection is restored
     this._bindTransport();
   }
 
@@ -33,53 +36,95 @@ export class SwapClient extends Emitter {
     await this.security.init(sid).catch(() => {});
   }
 
-  async register(criteria) {
-    // Advertise security capabilities if configured
-    const caps = this.security?.config?.enabled
-      ? { capabilities: { security: { integrity: !!this.security.config.integrity, encryption: !!this.security.config.encryption } } }
-      : {};
-    const msg = new RegisterMessage(criteria, { ...this._init(), ...caps });
-    const res = await this._sendAndWait(msg);
-    if (res?.status === 200) this.emit('registered', res);
+  // options.expires requests a registration lifetime in seconds; the granted one is res.expires.
+  // options.capabilities is sent as is (e.g. { maxSessions, weight }).
+  // Calling register() again refreshes the lifetime and replaces the criteria.
+  async register(criteria, options = {}) {
+    const res = await this._sendAndWait(this._registerMessage(criteria, options));
+    this.registration = criteria.length && options.expires !== 0 ? { criteria, options } : null;
+    this._registered(res);
     return res;
   }
 
-  async connectOffer(offer, criteria) {
-    if (!this.stateMachine.canSend('connect')) throw new Error('Invalid state to send connect');
-    const msg = new ConnectMessage(offer, criteria, this._init());
-    this.stateMachine.apply('connect');
-    const res = await this._sendAndWait(msg);
-    return res; // Ack from server
+  _registerMessage(criteria, options) {
+    const capabilities = { ...options.capabilities };
+    // Advertise security capabilities if configured
+    if (this.security?.config?.enabled) {
+      capabilities.security = { integrity: !!this.security.config.integrity, encryption: !!this.security.config.encryption };
+    }
+    if (options.expires !== undefined) capabilities.expires = options.expires;
+    // After a reconnect this lets the server rebind our registration and sessions
+    if (this.resumeToken) capabilities.resume_token = this.resumeToken;
+    const caps = Object.keys(capabilities).length ? { capabilities } : {};
+    return new RegisterMessage(criteria, { ...this._init(), ...caps });
   }
 
-  async accept(target, answer) {
-    const msg = new AcceptMessage(target, answer, this._init());
-    const res = await this._sendAndWait(msg);
-    return res;
+  _registered(res) {
+    if (res?.resume_token) this.resumeToken = res.resume_token;
+    if (res?.status === 200) this.emit('registered', res);
   }
 
-  async reject(target, reason) {
-    const msg = new RejectMessage(target, reason, this._init());
+  // Withdraw the registration without closing the connection
+  async unregister() {
+    const msg = new RegisterMessage([], this._init());
     const res = await this._sendAndWait(msg);
+    this.registration = null;
+    if (res?.status === 200) this.emit('unregistered', res);
     return res;
   }
 
-  async update(target, sdp) {
-    const msg = new UpdateMessage(target, sdp, this._init());
-    const res = await this._sendAndWait(msg);
-    return res;
+  /**
+   * Watch for endpoints matching the criteria. The returned subscription emits 'registered',
+   * 'unregistered', 'busy' and 'available' (and 'presence' with the full event) and is async iterable.
+   * options.maxBuffer caps the events it keeps while nobody consumes them (default 1000).
+   */
+  async subscribe(criteria, options = {}) {
+    const sub = new PresenceSubscription(this, generateSourceId('sub'), criteria, options);
+    this.subscriptions.set(sub.id, sub);
+    try {
+      await this.sendApp(this._serverTarget(), 'presence_subscribe', { id: sub.id, criteria });
+    } catch (e) {
+      this.subscriptions.delete(sub.id);
+      throw e;
+    }
+    // The initial snapshot is held by the subscription until the caller attaches a listener
+    return sub;
   }
 
-  async close(target) {
-    const msg = new CloseMessage(target, this._init());
-    const res = await this._sendAndWait(msg);
-    return res;
+  /**
+   * Ask the server which endpoints a connect with these criteria would reach, without sending an offer.
+   * Resolves to { mode, count, available, candidates, matches } (see SwapServer.discover).
+   */
+  async discover(criteria) {
+    const id = generateSourceId('disc');
+    const timeoutMs = this.options?.timeout?.response ?? 5000;
+    const result = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.discoveries.delete(id);
+        reject(new Error('Discovery timeout'));
+      }, timeoutMs);
+      this.discoveries.set(id, { resolve, timer });
+    });
+    try {
+      await this.sendApp(this._serverTarget(), 'discover', { id, criteria });
+    } catch (e) {
+      clearTimeout(this.discoveries.get(id)?.timer);
+      this.discoveries.delete(id);
+      throw e;
+    }
+    const value = await result;
+    delete value.id;
+    return value;
   }
 
-  async sendApp(target, type, value) {
-    const msg = new ApplicationMessage(target, type, value, this._init());
-    const res = await this._sendAndWait(msg);
-    return res;
+  async _unsubscribe(sub) {
+    if (!this.subscriptions.delete(sub.id)) return null;
+    return this.sendApp(this._serverTarget(), 'presence_unsubscribe', { id: sub.id });
+  }
+
+  // Presence and discovery messages are for the server; before its source_id is known, address them to ourselves
+  _serverTarget() {
+    return this.serverId || this.sourceId;
   }
 
   _bindTransport() {
@@ -94,73 +139,147 @@ export class SwapClient extends Emitter {
           this.logger.error('Security unpack failed', e?.message || e);
         }
       }
-      const message = MessageFactory.fromObject(obj);
+      let message;
+      try {
+        message = MessageFactory.fromObject(obj);
+      } catch (e) {
+        // Unknown message types (and malformed messages) are dropped, not fatal
+        this.logger.warn('Ignoring invalid message', obj?.message_type);
+        return;
+      }
       const mt = message.message_type;
       if (mt === 'response') {
         this._handleResponse(message);
         return;
       }
-      switch (mt) {
-        case 'connect': {
-          this.stateMachine.apply('accept_incoming');
-          this.emit('connect', message.offer, message.source_id);
-          break;
-        }
-        case 'accept': {
-          this.stateMachine.apply('accept');
-          this.sessions.create(message.source_id, message.target);
-          this.emit('accept', message.answer, message.source_id);
-          break;
-        }
-        case 'reject': {
-          this.stateMachine.apply('reject');
-          this.emit('reject', message.reason, message.source_id);
-          break;
-        }
-        case 'update': {
-          this.emit('update', message.sdp, message.source_id);
-          break;
-        }
-        case 'close': {
-          this.stateMachine.apply('close');
-          this.sessions.remove(message.source_id, message.target);
-          this.emit('close', message.source_id);
-          break;
-        }
-        case 'application': {
-          this.emit('application', message.type, message.value, message.source_id);
-          break;
+      // Presence and discovery results come from the server itself, not from a session peer
+      if (mt === 'application' && message.type === 'presence') {
+        const event = message.value || {};
+        this.subscriptions.get(event.subscription)?._push(event);
+        this.emit('presence', event);
+        return;
+      }
+      if (mt === 'application' && message.type === 'discover_result') {
+        const entry = this.discoveries.get(message.value?.id);
+        if (entry) {
+          clearTimeout(entry.timer);
+          this.discoveries.delete(message.value.id);
+          entry.resolve(message.value);
         }
-        default:
-          this.logger.warn('Unhandled message type', mt);
+        return;
       }
+      if (!this._receive(message)) this.logger.warn('Unhandled message type', mt);
     });
 
     this.transport.on('error', (e) => this.emit('error', e));
+    this.transport.on('reconnecting', (info) => {
+      if (!this.reconnecting) {
+        this.reconnecting = true;
+        // Unacknowledged requests wait for the new connection instead of timing out meanwhile
+        for (const entry of this.pending.values()) {
+          clearTimeout(entry.timer);
+          entry.timer = null;
+        }
+        // Whatever the transport queued is re-sent from pending, after the re-register
+        this.transport.queue.clear();
+      }
+      this.emit('reconnecting', info);
+    });
+    this.transport.on('reconnected', () => {
+      this._restore().catch((e) => this.logger.error('Restoring after reconnect failed', e?.message || e));
+    });
+    this.transport.on('reconnect_failed', (info) => {
+      this.reconnecting = false;
+      for (const [mid, entry] of this.pending) {
+        clearTimeout(entry.timer);
+        this.pending.delete(mid);
+        entry.reject(new Error('Connection lost'));
+      }
+      this.emit('reconnect_failed', info);
+    });
+  }
+
+  /**
+   * Runs once the transport is back: re-register (the server binds the source_id to the new
+   * connection on this first message and, within its grace period, resumes our sessions), then
+   * re-send every unacknowledged request under its original message_id.
+   */
+  async _restore() {
+    this.reconnecting = true;
+    const previousToken = this.resumeToken;
+    let res = null;
+    if (this.registration) {
+      const { criteria, options } = this.registration;
+      try {
+        res = await this._sendAndWait(this._registerMessage(criteria, options), { hold: false });
+        this._registered(res);
+      } catch (e) {
+        this.emit('error', e);
+      }
+    }
+    this.reconnecting = false;
+    const resumed = !!previousToken && res?.resume_token === previousToken;
+    // Without a resumption the server has closed our sessions and dropped our subscriptions
+    if (!resumed) this._dropSessions();
+    let resent = 0;
+    for (const [mid, entry] of this.pending) {
+      if (entry.timer) continue;
+      this._transmit(mid, entry);
+      resent += 1;
+    }
+    if (!resumed) {
+      for (const sub of this.subscriptions.values()) {
+        this.sendApp(this._serverTarget(), 'presence_subscribe', { id: sub.id, criteria: sub.criteria })
+          .catch((e) => this.logger.warn('Presence resubscribe failed', e?.message || e));
+      }
+    }
+    const info = { registration: res, resumed, resent };
+    this.emit('reconnected', info);
+    if (resumed) this.emit('resumed', info);
+  }
+
+  // Criteria connects that are still unanswered are kept: their connect may yet be re-sent
+  _dropSessions() {
+    for (const session of [...this.sessions.values()]) this._drop(session, 'local');
+  }
+
+  _request(msg) {
+    return this._sendAndWait(msg);
   }
 
   _init() {
-    return this.options.identity || {}; // allow caller to fix source_id if needed
+    return { ...this.options.identity, source_id: this.sourceId };
   }
 
-  async _sendAndWait(msg) {
-    const timeoutMs = this.options?.timeout?.response ?? 5000;
+  // hold: while reconnecting, keep the request until the connection is restored
+  async _sendAndWait(msg, { hold = true } = {}) {
     const mid = msg.message_id;
-    const raw = JSON.parse(msg.serialize());
-    const payloadObj = await this.security.prepareOutgoing(raw).catch(() => raw);
+    const raw = JSON.parse(msg.serialize(this.profile));
+    const payload = await this.security.prepareOutgoing(raw).catch(() => raw);
     return new Promise((resolve, reject) => {
-      const timer = setTimeout(() => {
-        this.pending.delete(mid);
-        reject(new Error('Response timeout'));
-      }, timeoutMs);
-      this.pending.set(mid, { resolve, reject, timer });
-      this.transport.send(payloadObj);
+      const entry = { resolve, reject, timer: null, payload };
+      this.pending.set(mid, entry);
+      if (!(hold && this.reconnecting)) this._transmit(mid, entry);
     });
   }
 
+  _transmit(mid, entry) {
+    const timeoutMs = this.options?.timeout?.response ?? 5000;
+    entry.timer = setTimeout(() => {
+      this.pending.delete(mid);
+      entry.reject(new Error('Response timeout'));
+    }, timeoutMs);
+    this.transport.send(entry.payload);
+  }
+
   _handleResponse(msg) {
+    if (msg.source_id) this.serverId = msg.source_id;
     const entry = this.pending.get(msg.response_to);
-    if (!entry) return;
+    if (!entry) {
+      // Late outcome of an already acknowledged request, e.g. a connect that failed over to every match
+      if (msg.status >= 300) this._connectFailed(msg.response_to, new SwapError(msg.error));
+      return;
+    }
     clearTimeout(entry.timer);
     this.pending.delete(msg.response_to);
     if (msg.status && msg.status >= 200 && msg.status < 300) entry.resolve(msg);
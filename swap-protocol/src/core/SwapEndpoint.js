@@ -0,0 +1,261 @@
+import { Emitter } from '../utils/Emitter.js';
+import { SwapSession } from './SwapSession.js';
+import { SessionStates } from '../state/SessionStateMachine.js';
+import { ConnectMessage } from '../messages/ConnectMessage.js';
+import { AcceptMessage } from '../messages/AcceptMessage.js';
+import { RejectMessage } from '../messages/RejectMessage.js';
+import { UpdateMessage } from '../messages/UpdateMessage.js';
+import { CloseMessage } from '../messages/CloseMessage.js';
+import { ApplicationMessage } from '../messages/ApplicationMessage.js';
+
+// Session side of a SWAP endpoint, shared by SwapClient and SwapPeerListener: one SwapSession per
+// remote peer, kept up to date from the messages exchanged with it. Subclasses provide _init()
+// (common message fields) and _request(msg), which sends a message and resolves to its ack, if any.
+export class SwapEndpoint extends Emitter {
+  constructor() {
+    super();
+    this.sessions = new Map(); // peer source_id -> SwapSession
+    this.outgoing = new Map(); // connect message_id -> SwapSession of a criteria connect nobody has answered yet
+    this.lastRequests = new Map(); // peer source_id -> message_id of its last connect/update
+  }
+
+  // criteria: matching criteria, the source_id of a known target to connect to directly, or
+  // nothing towards a point-to-point peer (SwapPeerListener), where there is no matching
+  async connectOffer(offer, criteria = []) {
+    const { res } = await this._connect(offer, criteria);
+    return res; // Ack from the signalling server
+  }
+
+  // Like connectOffer, but resolves to the SwapSession that tracks the call
+  async openSession(offer, criteria = []) {
+    const { session } = await this._connect(offer, criteria);
+    return session;
+  }
+
+  session(peer) {
+    return this.sessions.get(peer) || null;
+  }
+
+  async _connect(offer, criteria) {
+    const direct = typeof criteria === 'string';
+    const existing = direct && this.sessions.get(criteria);
+    if (existing) throw new Error(`Session with ${criteria} is ${existing.state}`);
+    const msg = direct
+      ? new ConnectMessage(offer, [], { ...this._init(), target: criteria })
+      : new ConnectMessage(offer, criteria, this._init());
+    const session = new SwapSession(this, direct ? criteria : null, { direction: 'outgoing', offer, messageId: msg.message_id });
+    if (direct) this.sessions.set(criteria, session);
+    else this.outgoing.set(msg.message_id, session);
+    try {
+      const res = await this._request(msg);
+      return { session, res };
+    } catch (e) {
+      session._end();
+      this._release(session);
+      throw e;
+    }
+  }
+
+  async accept(target, answer) {
+    // Like a reject, name the connect/update answered; an accept of a close answers no request
+    const closing = this.sessions.get(target)?.state === SessionStates.CLOSING;
+    const request = closing ? undefined : this.lastRequests.get(target);
+    const msg = new AcceptMessage(target, answer, { ...this._init(), request });
+    const res = await this._request(msg);
+    this._sent(target, 'accept');
+    return res;
+  }
+
+  async reject(target, reason, details = {}) {
+    // The ts26113 profile references the rejected connect/update and may carry an error_id
+    const request = details.request ?? this.lastRequests.get(target);
+    const msg = new RejectMessage(target, reason, { ...this._init(), request, error_id: details.error_id });
+    const res = await this._request(msg);
+    this._sent(target, 'reject');
+    return res;
+  }
+
+  async update(target, sdp) {
+    const msg = new UpdateMessage(target, sdp, this._init());
+    const res = await this._request(msg);
+    this._sent(target, 'update');
+    return res;
+  }
+
+  // The peer answers a close with an accept (TS 26.113 § 13.2.4.4.8). Resolves to the session's
+  // { reason, initiator } once it has, or after timeout.close ms (default 5000) without it.
+  async close(target) {
+    const msg = new CloseMessage(target, this._init());
+    const session = this.sessions.get(target);
+    if (!session) return this._request(msg);
+    if (session._closing) return session._closing.promise;
+    session._apply('close');
+    const closing = { timer: null };
+    closing.promise = new Promise((resolve) => { closing.resolve = resolve; });
+    session._closing = closing;
+    try {
+      await this._request(msg);
+    } catch (e) {
+      this._closed(session, 'failed', 'local');
+      throw e;
+    }
+    // The accept may already be in
+    if (session._closing === closing) {
+      closing.timer = setTimeout(() => this._closed(session, 'timeout', 'local'), this.options?.timeout?.close ?? 5000);
+    }
+    return closing.promise;
+  }
+
+  async sendApp(target, type, value) {
+    const msg = new ApplicationMessage(target, type, value, this._init());
+    const res = await this._request(msg);
+    return res;
+  }
+
+  // Dispatch a connect/accept/reject/update/close/application from a peer; false for other types
+  _receive(message) {
+    switch (message.message_type) {
+      case 'connect': {
+        this.lastRequests.set(message.source_id, message.message_id);
+        const session = new SwapSession(this, message.source_id, { direction: 'incoming', offer: message.offer, messageId: message.message_id });
+        this.sessions.set(message.source_id, session);
+        this.emit('session', session);
+        this.emit('connect', message.offer, message.source_id, session);
+        break;
+      }
+      case 'accept': {
+        const session = this._answeredBy(message.source_id, message.request);
+        // The answer to our close: no SDP, nothing for the application but 'closed'
+        if (session?.state === SessionStates.CLOSING) {
+          session._apply('accept');
+          this._closed(session, 'closed', 'local');
+          break;
+        }
+        if (session) {
+          session._apply('accept');
+          session.answer = message.answer;
+          session.emit('accept', message.answer);
+        }
+        this.emit('accept', message.answer, message.source_id, session);
+        break;
+      }
+      case 'reject': {
+        const session = this._answeredBy(message.source_id, message.request);
+        if (session) {
+          if (session._apply('reject') === SessionStates.IDLE) this._release(session);
+          session.emit('reject', message.reason);
+        }
+        this.emit('reject', message.reason, message.source_id, session);
+        break;
+      }
+      case 'update': {
+        this.lastRequests.set(message.source_id, message.message_id);
+        const session = this.sessions.get(message.source_id) || null;
+        if (session) {
+          session._apply('update');
+          session.emit('update', message.sdp);
+        }
+        this.emit('update', message.sdp, message.source_id, session);
+        break;
+      }
+      case 'close': {
+        // The server closes on behalf of a peer that left (or a fork that lost); target names that peer
+        const relayed = this.sessions.has(message.source_id);
+        const peer = relayed || !this.sessions.has(message.target) ? message.source_id : message.target;
+        const session = this.sessions.get(peer) || null;
+        if (session) {
+          const crossing = session.state === SessionStates.CLOSING;
+          session._apply('close');
+          session.emit('close');
+          // Crossing closes answer each other; a server-side close has nothing left to accept
+          if (crossing) this._closed(session, 'closed', 'local');
+          else if (relayed) this._answerClose(session);
+          else this._closed(session, 'closed', 'remote');
+        }
+        this.emit('close', peer, session);
+        break;
+      }
+      case 'application': {
+        const session = this.sessions.get(message.source_id) || null;
+        session?.emit('application', message.type, message.value);
+        this.emit('application', message.type, message.value, message.source_id, session);
+        break;
+      }
+      default:
+        return false;
+    }
+    return true;
+  }
+
+  // The session an accept/reject from this peer answers. The answerer of a criteria connect is
+  // learnt here, from the connect message_id the answer names in `request`.
+  _answeredBy(peer, request) {
+    const session = this.sessions.get(peer);
+    if (session) return session;
+    const pending = this.outgoing.get(request);
+    if (!pending) return null;
+    this.outgoing.delete(request);
+    pending.peer = peer;
+    this.sessions.set(peer, pending);
+    return pending;
+  }
+
+  // Track a message we sent once the signalling server has acknowledged it
+  _sent(target, event) {
+    const session = this.sessions.get(target);
+    if (!session) return;
+    const state = session._apply(event);
+    if (state === SessionStates.IDLE) this._release(session);
+  }
+
+  _answerClose(session) {
+    this.accept(session.peer)
+      .catch(() => {}) // the server may have released the session already
+      .finally(() => this._closed(session, 'closed', 'remote'));
+  }
+
+  // Release a session that is over and emit its one 'closed' ({ reason, initiator }) event.
+  // reason: 'closed' (handshake done), 'timeout' (no accept), 'disconnected' or 'failed';
+  // initiator: 'local' or 'remote'
+  _closed(session, reason, initiator) {
+    if (session.closeInfo) return;
+    if (session.state === SessionStates.CLOSING) session._apply('closed');
+    else session._end();
+    this._release(session);
+    const closing = session._closing;
+    session._closing = null;
+    clearTimeout(closing?.timer);
+    const info = { reason, initiator };
+    session.closeInfo = info;
+    session.emit('closed', info);
+    this.emit('closed', session.peer, info, session);
+    closing?.resolve(info);
+  }
+
+  _release(session) {
+    if (session.peer && this.sessions.get(session.peer) === session) {
+      this.sessions.delete(session.peer);
+      this.lastRequests.delete(session.peer);
+    }
+    if (this.outgoing.get(session.messageId) === session) this.outgoing.delete(session.messageId);
+  }
+
+  // The connection went away without a close handshake (and was not resumed)
+  _drop(session, initiator) {
+    session.emit('close');
+    this.emit('close', session.peer, session);
+    this._closed(session, 'disconnected', initiator);
+  }
+
+  // Late failure of an acknowledged connect, e.g. one that failed over to every match
+  _connectFailed(messageId, err) {
+    const session = this.outgoing.get(messageId)
+      || [...this.sessions.values()].find((s) => s.messageId === messageId);
+    if (session) {
+      session._end();
+      this._release(session);
+      session.emit('error', err);
+    }
+    this.emit('error', err, session || null);
+  }
+}
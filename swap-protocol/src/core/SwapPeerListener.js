@@ -0,0 +1,155 @@
+import http from 'http';
+import { WebSocketServer } from 'ws';
+
+import { SwapEndpoint } from './SwapEndpoint.js';
+import { SessionStates } from '../state/SessionStateMachine.js';
+import { ResponseMessage } from '../messages/ResponseMessage.js';
+import { normalizeMessageType } from '../messages/MessageTypes.js';
+import { WireProfiles, detectProfile, fromWire, toWire } from '../messages/WireFormat.js';
+import { ErrorTypes } from '../errors/ErrorTypes.js';
+import { ProblemDetails } from '../errors/ProblemDetails.js';
+import { validateMessageShape } from '../utils/Validator.js';
+import { generateSourceId } from '../utils/IdGenerator.js';
+import { defaultLogger } from '../utils/Logger.js';
+
+/**
+ * Point-to-point SWAP (TS 26.113 § 13.2.4.2, Figure 13.2.4.2-1): this endpoint is the WebSocket
+ * server and the signalling server at once. It takes one client connection at a time, needs no
+ * register, and acknowledges every message it receives (§ 13.2.4.7). Sessions work as on SwapClient:
+ * 'session' / 'connect' / 'accept' / ... events and accept(), update(), close(), openSession(), ...
+ * Its own messages are not acknowledged by the client, so those methods resolve once sent.
+ * Also emits 'peer' (sourceId) once the client's first message names it, 'disconnected' (sourceId)
+ * and 'refused' (ws) for connections arriving while one is active.
+ */
+export class SwapPeerListener extends SwapEndpoint {
+  constructor(options = {}) {
+    super();
+    this.options = { host: '0.0.0.0', port: 0, path: '/3gpp-swap/v1', profile: WireProfiles.LEGACY, ...options };
+    this.logger = options.logger || defaultLogger;
+    this.sourceId = options.identity?.source_id || generateSourceId('p2p');
+    this.httpServer = options.httpServer || http.createServer();
+    this.wss = null;
+    this.port = null;
+    this.ws = null; // the one client connection
+    this.peer = null; // source_id of the connected client, learned from its first message
+    this.profile = this.options.profile; // switched to the client's wire profile once detected
+  }
+
+  async start() {
+    await new Promise((resolve) => this.httpServer.listen(this.options.port, this.options.host, resolve));
+    this.port = this.httpServer.address().port;
+    this.wss = new WebSocketServer({ server: this.httpServer, path: this.options.path, handleProtocols: (protocols) => {
+      if (protocols?.has && protocols.has('3gpp.SWAP.v1')) return '3gpp.SWAP.v1';
+      return false;
+    } });
+    this.wss.on('connection', (ws) => this._onConnection(ws));
+    return this.port;
+  }
+
+  async stop() {
+    for (const ws of this.wss?.clients || []) {
+      try { ws.close(); } catch {}
+    }
+    await new Promise((resolve) => this.wss?.close(() => resolve()));
+    await new Promise((resolve) => this.httpServer?.close(() => resolve()));
+  }
+
+  // Without a target, the connect goes to the connected client
+  async connectOffer(offer, target = this.peer) {
+    return super.connectOffer(offer, this._peerTarget(target));
+  }
+
+  async openSession(offer, target = this.peer) {
+    return super.openSession(offer, this._peerTarget(target));
+  }
+
+  _peerTarget(target) {
+    if (!target) throw new Error('No peer connected');
+    return target;
+  }
+
+  _onConnection(ws) {
+    // The endpoint is not required to support more than one client connection (§ 13.2.4.2)
+    if (this.ws) {
+      this.logger.warn('Refusing a second peer connection');
+      this.emit('refused', ws);
+      ws.close(1013, 'Peer already connected');
+      return;
+    }
+    this.ws = ws;
+    ws.on('message', (data) => this._onMessage(ws, data));
+    ws.on('close', () => {
+      if (this.ws !== ws) return;
+      const peer = this.peer;
+      this.ws = null;
+      this.peer = null;
+      this.profile = this.options.profile;
+      for (const session of [...this.sessions.values()]) this._drop(session, 'remote');
+      if (peer) this.emit('disconnected', peer);
+    });
+  }
+
+  _onMessage(ws, data) {
+    let message;
+    try { message = JSON.parse(data.toString()); } catch { return this._sendError(ws, 0, ErrorTypes.MESSAGE_MALFORMATTED, 'Invalid JSON'); }
+    if (typeof message?.message_type === 'string') message = { ...message, message_type: normalizeMessageType(message.message_type) };
+    // Answer in the wire profile the client speaks
+    const detected = detectProfile(message);
+    if (detected) this.profile = detected;
+    const v = validateMessageShape(message, { profile: this.profile, answerless: true });
+    if (v.unknown) return this._sendError(ws, message.message_id || 0, ErrorTypes.MESSAGE_UNKNOWN, `Unknown message type: ${message.message_type}`);
+    if (!v.valid) return this._sendError(ws, message?.message_id || 0, ErrorTypes.MESSAGE_MALFORMATTED, 'Message does not conform to schema');
+    if (!this.peer) {
+      this.peer = message.source_id;
+      this.emit('peer', this.peer);
+    } else if (message.source_id !== this.peer) {
+      // As on the relay, a changed source identifier on the same connection is ignored
+      return;
+    }
+    message = fromWire(message);
+    const type = message.message_type;
+    if (type === 'response') return; // the client has nothing to acknowledge; tolerate it
+    // There is no one else to route to: connect needs no target, everything else must be for us
+    if (message.target && message.target !== this.sourceId) {
+      return this._sendError(ws, message.message_id, ErrorTypes.TARGET_UNKNOWN, `Only ${this.sourceId} is reachable on this connection`);
+    }
+    if (type === 'connect' && this.sessions.has(message.source_id)) {
+      return this._sendError(ws, message.message_id, ErrorTypes.MESSAGE_UNEXPECTED, `Session is ${this.sessions.get(message.source_id).state}`);
+    }
+    if (['accept', 'reject', 'update', 'close'].includes(type)) {
+      const session = this.sessions.get(message.source_id);
+      if (!session?.machine.can(type)) {
+        return this._sendError(ws, message.message_id, ErrorTypes.MESSAGE_UNEXPECTED, `Cannot ${type} while session is ${session?.state || 'idle'}`);
+      }
+      // Only the accept of a close may come without an answer
+      if (type === 'accept' && message.answer === undefined && session.state !== SessionStates.CLOSING) {
+        return this._sendError(ws, message.message_id, ErrorTypes.MESSAGE_MALFORMATTED, `An accept while session is ${session.state} needs an answer`);
+      }
+    }
+    // Acknowledge first, so the client sees the ack before any answer from this side
+    this._send(new ResponseMessage(message.message_id, 200, 'OK', null, { source_id: this.sourceId, target: message.source_id }));
+    // A register is acknowledged but means nothing here: there is nobody to be found by
+    if (type !== 'register') this._receive(message);
+  }
+
+  async _request(msg) {
+    if (!this.ws) throw new Error('No peer connected');
+    this._send(msg);
+    return null;
+  }
+
+  _send(messageObj) {
+    this.ws?.send(JSON.stringify(toWire(messageObj, this.profile)));
+  }
+
+  _sendError(ws, responseTo, errorType, detail) {
+    const problem = ProblemDetails[errorType]?.() || { type: errorType, title: 'Bad Request', status: 400 };
+    if (detail) problem.detail = detail;
+    const resp = new ResponseMessage(responseTo || 0, problem.status || 400, problem.title || 'Bad Request', problem, { source_id: this.sourceId });
+    ws.send(JSON.stringify(toWire(resp, this.profile)));
+  }
+
+  _init() {
+    return { ...this.options.identity, source_id: this.sourceId };
+  }
+}
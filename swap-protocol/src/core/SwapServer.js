@@ -1,32 +1,85 @@
 import { EventEmitter } from 'events';
 import http from 'http';
+import { randomBytes, timingSafeEqual } from 'crypto';
 import { WebSocketServer } from 'ws';
 import { v4 as uuidv4 } from 'uuid';
 
 import { MatchingEngine } from '../matching/MatchingEngine.js';
 import { ResponseMessage } from '../messages/ResponseMessage.js';
 import { CloseMessage } from '../messages/CloseMessage.js';
+import { ApplicationMessage } from '../messages/ApplicationMessage.js';
 import { ErrorTypes } from '../errors/ErrorTypes.js';
+import { normalizeMessageType } from '../messages/MessageTypes.js';
 import { ProblemDetails } from '../errors/ProblemDetails.js';
 import { validateMessageShape } from '../utils/Validator.js';
+import { WireProfiles, detectProfile, fromWire, toWire } from '../messages/WireFormat.js';
 import { generateSourceId } from '../utils/IdGenerator.js';
 import { SecurityManager } from '../security/SecurityManager.js';
+import { JwtVerifier } from '../security/JwtVerifier.js';
+import { AuthorizationPolicy } from '../security/AuthorizationPolicy.js';
+import { SessionManager } from './SessionManager.js';
+import { CallQueue } from './CallQueue.js';
+import { PresenceRegistry } from './PresenceRegistry.js';
+import { SessionStateMachine, SessionStates } from '../state/SessionStateMachine.js';
 
 export class SwapServer extends EventEmitter {
   constructor(options = {}) {
     super();
-    this.options = { host: '0.0.0.0', port: 0, path: '/3gpp-swap/v1', ...options };
+    this.options = { host: '0.0.0.0', port: 0, path: '/3gpp-swap/v1', closeTimeout: 5000, profile: WireProfiles.LEGACY, ...options };
     this.httpServer = options.httpServer || http.createServer();
     this.wss = null;
     this.port = null;
     this.path = this.options.path;
     this.endpoints = new Map(); // source_id -> ws
-    this.registeredEndpoints = new Map(); // source_id -> { ws, criteria, capabilities }
-    this.activeSessions = new Map(); // sessionId -> { a, b, state }
-    this.pendingConnections = new Map(); // source_id -> { target, offer, messageId }
+    this.registeredEndpoints = new Map(); // source_id -> { ws, criteria, capabilities, expires, expiresAt, timer }
+    // Registration lifetimes in seconds; with no defaultExpires/maxExpires a registration lasts until the socket closes
+    this.registration = { defaultExpires: null, minExpires: 0, maxExpires: null, ...options.registration };
+    this.sessions = new SessionManager();
+    this.activeSessions = this.sessions.sessions; // `${a}|${b}` -> { id, a, b, state, machine, pending }
+    this.pendingConnections = new Map(); // source_id -> { target, offer, messageId, message, candidates, attempted, timer }
+    // Opt-in failover: re-forward a rejected or unanswered connect to the next ranked match
+    this.failover = options.failover
+      ? { timeout: 10000, maxAttempts: 3, ...(options.failover === true ? {} : options.failover) }
+      : null;
+    // Opt-in queueing of connects whose matches are all busy: { maxSize, timeout, priorities, serviceInterval }
+    this.queue = options.queue ? new CallQueue(options.queue === true ? {} : options.queue) : null;
+    // Opt-in forking: ring every match of a connect carrying one of these criterion types (e.g. all devices of a user)
+    this.forking = options.forking
+      ? { types: ['user'], maxForks: 10, timeout: 10000, ...(options.forking === true ? {} : options.forking) }
+      : null;
+    this.wireProfiles = new WeakMap(); // ws -> wire profile spoken by that connection
+    // Opt-in reconnection grace: a dropped endpoint keeps its registration and sessions for `grace` ms
+    // and can rebind them from a new socket by registering with the resume_token it was issued
+    this.resumption = options.resumption
+      ? { grace: 30000, maxBuffered: 100, ...(options.resumption === true ? {} : options.resumption) }
+      : null;
+    this.suspended = new Map(); // source_id -> { token, buffer, timer } while inside the grace window
+    // WebSocket ping every `interval` ms; a socket that has not answered the previous ping is
+    // terminated, which suspends (or disconnects) its endpoint. On by default with resumption.
+    const heartbeat = options.heartbeat ?? !!options.resumption;
+    this.heartbeat = heartbeat ? { interval: 30000, ...(heartbeat === true ? {} : heartbeat) } : null;
+    this.heartbeatTimer = null;
+    this.awaitingPong = new WeakSet(); // sockets pinged since their last pong
     this.serverSource = generateSourceId('server');
-    this.matching = new MatchingEngine();
+    // comparators: custom criterion type -> comparator; softTypes: criterion types that only rank;
+    // selection: { strategy, byService: { <service>: strategy } }; affinity: true | { ttl, types }
+    this.matching = new MatchingEngine({
+      comparators: options.comparators,
+      softTypes: options.softTypes,
+      affinity: options.affinity,
+      strategy: options.selection?.strategy,
+      serviceStrategies: options.selection?.byService
+    });
+    // Subscribers only hear about endpoints their connect policy lets them reach
+    this.presence = new PresenceRegistry(this.matching, {
+      visible: (owner, endpointId) => !this.authorization || this._evaluateTarget(this._identityOf(owner), endpointId).allowed
+    });
     this.security = new SecurityManager(options.security || { enabled: false });
+    // authenticate(request) -> identity | null, checked at WebSocket upgrade; auth.jwt builds a JWT verifier
+    this.authenticate = options.authenticate || (options.auth?.jwt ? JwtVerifier.authenticator(options.auth.jwt) : null);
+    this.identities = new WeakMap(); // ws -> identity returned by authenticate
+    // Criteria-scoped rules for register/connect: policy document, AuthorizationPolicy or JSON file path
+    this.authorization = options.authorization ? AuthorizationPolicy.from(options.authorization) : null;
   }
 
   async start() {
@@ -35,24 +88,80 @@ export class SwapServer extends EventEmitter {
     this.wss = new WebSocketServer({ server: this.httpServer, path: this.path, handleProtocols: (protocols) => {
       if (protocols?.has && protocols.has('3gpp.SWAP.v1')) return '3gpp.SWAP.v1';
       return false;
-    }});
+    }, verifyClient: this.authenticate ? (info, done) => this._verifyUpgrade(info.req, done) : undefined });
 
-    this.wss.on('connection', (ws) => { console.log('[server] connection'); this._onConnection(ws); });
+    this.wss.on('connection', (ws, req) => {
+      console.log('[server] connection');
+      if (req?.swapIdentity) this.identities.set(ws, req.swapIdentity);
+      this._onConnection(ws);
+    });
+    if (this.heartbeat) {
+      this.heartbeatTimer = setInterval(() => this._pingAll(), this.heartbeat.interval);
+      this.heartbeatTimer.unref?.();
+    }
     return this.port;
   }
 
+  _pingAll() {
+    for (const ws of this.wss.clients) {
+      if (this.awaitingPong.has(ws)) {
+        this.emit('heartbeat_timeout', ws);
+        ws.terminate();
+        continue;
+      }
+      this.awaitingPong.add(ws);
+      ws.ping();
+    }
+  }
+
+  async _verifyUpgrade(req, done) {
+    let identity = null;
+    try {
+      identity = await this.authenticate(req);
+    } catch (e) {
+      this.emit('auth_failed', req, e);
+      return done(false, 401, 'Unauthorized');
+    }
+    if (!identity) {
+      this.emit('auth_failed', req, null);
+      return done(false, 401, 'Unauthorized');
+    }
+    req.swapIdentity = identity === true ? {} : identity;
+    done(true);
+  }
+
+  // Credentials accepted at upgrade stop being valid once they expire
+  _isAuthorized(ws) {
+    if (!this.authenticate) return true;
+    const identity = this.identities.get(ws);
+    if (!identity) return false;
+    return !identity.expiresAt || identity.expiresAt > Date.now();
+  }
+
   async stop() {
-    for (const ws of this.endpoints.values()) {
+    clearInterval(this.heartbeatTimer);
+    // Includes connections that never sent a (valid) message and so have no endpoint entry
+    for (const ws of this.wss?.clients || this.endpoints.values()) {
       try { ws.close(); } catch {}
     }
+    for (const s of this.activeSessions.values()) clearTimeout(s.timer);
+    for (const r of this.registeredEndpoints.values()) clearTimeout(r.timer);
+    for (const p of this.pendingConnections.values()) clearTimeout(p.timer);
+    this.queue?.clear();
+    for (const s of this.suspended.values()) clearTimeout(s.timer);
+    this.suspended.clear();
     await new Promise((resolve) => this.wss?.close(() => resolve()));
     await new Promise((resolve) => this.httpServer?.close(() => resolve()));
     this.endpoints.clear();
     this.registeredEndpoints.clear();
     this.activeSessions.clear();
+    this.pendingConnections.clear();
   }
 
   _onConnection(ws) {
+    // The first source_id seen on a connection is bound to it (TS 26.113 § 13.2.4.4.1.1)
+    let boundSource = null;
+    ws.on('pong', () => this.awaitingPong.delete(ws));
     ws.on('message', async (data) => {
       let message;
       try { message = JSON.parse(data.toString()); } catch { return this._sendError(ws, 0, ErrorTypes.MESSAGE_MALFORMATTED, 'Invalid JSON'); }
@@ -60,25 +169,104 @@ export class SwapServer extends EventEmitter {
       if (message && message.security) {
         try { message = await this.security.unpackIncoming(message); } catch (e) { return this._sendError(ws, message.message_id || 0, ErrorTypes.MESSAGE_MALFORMATTED, 'Security unpack failed'); }
       }
-      const v = validateMessageShape(message);
-      if (!v.valid) return this._sendError(ws, message.message_id || 0, ErrorTypes.MESSAGE_MALFORMATTED, 'Message does not conform to schema');
-      this.endpoints.set(message.source_id, ws);
-      this._dispatch(ws, message);
+      // message_type is case-insensitive; normalise after the security envelope has been verified
+      if (typeof message?.message_type === 'string') message = { ...message, message_type: normalizeMessageType(message.message_type) };
+      // Answer each connection in the wire profile it speaks; fall back to the server default
+      const detected = detectProfile(message);
+      if (detected && !this.wireProfiles.has(ws)) this.wireProfiles.set(ws, detected);
+      const v = validateMessageShape(message, { profile: detected || this._profileFor(ws), answerless: true });
+      if (v.unknown) return this._sendError(ws, message.message_id || 0, ErrorTypes.MESSAGE_UNKNOWN, `Unknown message type: ${message.message_type}`);
+      if (!v.valid) return this._sendError(ws, message?.message_id || 0, ErrorTypes.MESSAGE_MALFORMATTED, 'Message does not conform to schema');
+      if (!this._isAuthorized(ws)) return this._sendError(ws, message.message_id, ErrorTypes.UNAUTHORIZED, 'Credentials missing or expired');
+      let buffered = null;
+      if (!boundSource) {
+        // A register carrying the resume_token takes the source_id back, whether the endpoint is
+        // suspended or its old socket is still half-open
+        const owner = this.endpoints.get(message.source_id);
+        const suspended = this.suspended.get(message.source_id);
+        const token = owner ? this.registeredEndpoints.get(message.source_id)?.resumeToken : suspended?.token;
+        const resuming = this.resumption && this._resumes(token, message);
+        if (owner && owner !== ws && !resuming) {
+          this.emit('source_conflict', message.source_id, ws);
+          return this._sendError(ws, message.message_id, ErrorTypes.UNAUTHORIZED, 'Source identifier is bound to another connection');
+        }
+        if (suspended && !resuming) {
+          this.emit('source_conflict', message.source_id, ws);
+          return this._sendError(ws, message.message_id, ErrorTypes.UNAUTHORIZED, 'Source identifier is awaiting resumption');
+        }
+        boundSource = message.source_id;
+        this.endpoints.set(boundSource, ws);
+        if (suspended) buffered = this._resume(boundSource);
+        else if (resuming && owner) {
+          // Rebound before the stale socket closes, so its close handler leaves the endpoint alone
+          owner.terminate();
+          buffered = [];
+        }
+      } else if (message.source_id !== boundSource) {
+        // A changed source identifier on the same connection is ignored, not answered
+        this.emit('source_mismatch', boundSource, message.source_id, ws);
+        return;
+      }
+      await this._dispatch(ws, fromWire(message));
+      if (buffered) {
+        for (const m of buffered) await this._forwardTo(boundSource, m);
+        this.emit('resumed', boundSource, buffered.length);
+      }
     });
 
     ws.on('close', () => {
       // Clean up endpoint entries and sessions
-      for (const [src, sock] of this.endpoints.entries()) {
-        if (sock === ws) {
-          this.endpoints.delete(src);
-          this.matching.unregister(src);
-          this.registeredEndpoints.delete(src);
-          this._closeSessionsFor(src);
-        }
-      }
+      if (!boundSource || this.endpoints.get(boundSource) !== ws) return;
+      this.endpoints.delete(boundSource);
+      const token = this.registeredEndpoints.get(boundSource)?.resumeToken;
+      if (this.resumption && token) return this._suspend(boundSource, token);
+      this._disconnect(boundSource);
     });
   }
 
+  _disconnect(source) {
+    this.presence.removeOwner(source);
+    this._unregister(source, 'disconnected');
+    this._closeSessionsFor(source);
+  }
+
+  // Keep registration and sessions of a dropped endpoint for the grace window; it is not
+  // matched meanwhile, and messages addressed to it are buffered
+  _suspend(source, token) {
+    this.matching.unregister(source);
+    const entry = { token, buffer: [], timer: null };
+    entry.timer = setTimeout(() => {
+      if (this.suspended.get(source) !== entry) return;
+      this.suspended.delete(source);
+      this.emit('resume_expired', source);
+      this._disconnect(source);
+    }, this.resumption.grace);
+    entry.timer.unref?.();
+    this.suspended.set(source, entry);
+    this.emit('suspended', source);
+  }
+
+  _resumes(expected, message) {
+    const token = message.message_type === 'register' ? message.capabilities?.resume_token : null;
+    if (typeof token !== 'string' || typeof expected !== 'string') return false;
+    const a = Buffer.from(token);
+    const b = Buffer.from(expected);
+    return a.length === b.length && timingSafeEqual(a, b);
+  }
+
+  // Returns the messages buffered during the gap; the register that resumed re-adds the matching entry
+  _resume(source) {
+    const entry = this.suspended.get(source);
+    clearTimeout(entry.timer);
+    this.suspended.delete(source);
+    return entry.buffer;
+  }
+
+  // Connected, or inside its reconnection grace window
+  _reachable(endpointId) {
+    return this.endpoints.has(endpointId) || this.suspended.has(endpointId);
+  }
+
   _dispatch(ws, message) {
     switch (message.message_type) {
       case 'register': return this._onRegister(ws, message);
@@ -92,120 +280,615 @@ export class SwapServer extends EventEmitter {
     }
   }
 
-  async _ack(ws, msg, status = 200, reason = 'OK') {
-    const resp = new ResponseMessage(msg.message_id, status, reason, null, { source_id: this.serverSource });
-    // Only secure if server enabled and sender advertised security support
-    const caps = this.registeredEndpoints.get(msg.source_id)?.capabilities;
+  async _ack(ws, msg, extra = {}) {
+    const resp = new ResponseMessage(msg.message_id, 200, 'OK', null, { source_id: this.serverSource, target: msg.source_id, ...extra });
+    await this._send(ws, msg.source_id, resp);
+  }
+
+  _profileFor(ws) {
+    return this.wireProfiles.get(ws) || this.options.profile;
+  }
+
+  // Serialize in the connection's wire profile; only secure if server enabled and the endpoint advertised security support
+  async _send(ws, endpointId, messageObj) {
+    const caps = this.registeredEndpoints.get(endpointId)?.capabilities;
     const wantsSec = !!caps?.security?.integrity || !!caps?.security?.encryption;
+    let out = toWire(messageObj, this._profileFor(ws));
     if (this.security?.config?.enabled && wantsSec) {
       try {
-        const raw = JSON.parse(JSON.stringify(resp));
-        const out = await this.security.prepareOutgoing(raw);
-        ws.send(JSON.stringify(out));
-        return;
+        const raw = JSON.parse(JSON.stringify(out));
+        out = await this.security.prepareOutgoing(raw);
       } catch {}
     }
-    ws.send(JSON.stringify(resp));
+    ws.send(JSON.stringify(out));
+  }
+
+  // Returns true (after answering with an unauthorized problem) when a policy rule refuses the criteria;
+  // with target, the policy sees what that endpoint registered instead
+  _denied(ws, action, message, { target } = {}) {
+    if (!this.authorization) return false;
+    const identity = this.identities.get(ws) || null;
+    const result = target === undefined
+      ? this.authorization.evaluate(action, identity, message.criteria)
+      : this._evaluateTarget(identity, target);
+    if (result.allowed) return false;
+    this._refuse(ws, action, message, result);
+    return true;
+  }
+
+  _refuse(ws, action, message, result) {
+    this.emit('authorization_denied', message.source_id, action, result);
+    this._sendError(ws, message.message_id, ErrorTypes.UNAUTHORIZED, `Policy rule "${result.rule}": ${result.reason}`, { rule: result.rule });
+  }
+
+  _identityOf(sourceId) {
+    return this.identities.get(this.endpoints.get(sourceId)) || null;
+  }
+
+  // A connect policy sees the criteria the target registered, i.e. what the caller is reaching,
+  // whether the target was named directly or matched; a target that never registered has none
+  _evaluateTarget(identity, target) {
+    const registration = this.registeredEndpoints.get(target);
+    return registration
+      ? this.authorization.evaluate('connect', identity, registration.criteria)
+      : this.authorization.evaluateUnregistered(identity);
+  }
+
+  // Drop the matches the policy does not let the caller reach; denial is the first refusal, if any
+  _authorized(identity, ranked) {
+    if (!this.authorization) return { ranked, denial: null };
+    let denial = null;
+    const allowed = ranked.filter(r => {
+      const result = this._evaluateTarget(identity, r.endpointId);
+      if (!result.allowed) denial ||= result;
+      return result.allowed;
+    });
+    return { ranked: allowed, denial };
   }
 
   _onRegister(ws, message) {
     console.log('[server] register from', message.source_id);
-    this.registeredEndpoints.set(message.source_id, { ws, criteria: message.criteria, capabilities: message.capabilities || {} });
-    this.matching.register(message.source_id, message.criteria);
-    this._ack(ws, message);
+    const capabilities = { ...message.capabilities };
+    delete capabilities.resume_token; // proof for resumption, not a capability
+    // An empty criteria list (or expires: 0) withdraws the registration but keeps the connection
+    if ((Array.isArray(message.criteria) && !message.criteria.length) || capabilities.expires === 0) {
+      this._unregister(message.source_id, 'unregistered');
+      return this._ack(ws, message, { expires: 0 });
+    }
+    if (this._denied(ws, 'register', message)) return;
+    // Re-registering refreshes the lifetime and replaces criteria and capabilities
+    const previous = this.registeredEndpoints.get(message.source_id);
+    clearTimeout(previous?.timer);
+    const expires = this._grantExpires(capabilities.expires);
+    // The resume token stays the same across re-registrations
+    const resumeToken = this.resumption ? (previous?.resumeToken || randomBytes(24).toString('base64url')) : null;
+    const entry = { ws, criteria: message.criteria, capabilities, expires, expiresAt: null, resumeToken };
+    if (expires !== null) {
+      entry.expiresAt = Date.now() + expires * 1000;
+      entry.timer = setTimeout(() => {
+        if (this.registeredEndpoints.get(message.source_id) === entry) this._unregister(message.source_id, 'expired');
+      }, expires * 1000);
+      entry.timer.unref?.();
+    }
+    this.registeredEndpoints.set(message.source_id, entry);
+    this.matching.register(message.source_id, message.criteria, capabilities);
+    this._ack(ws, message, { ...(expires === null ? {} : { expires }), ...(resumeToken ? { resume_token: resumeToken } : {}) });
+    this._notifyPresence(this.presence.registered(message.source_id));
+    this._checkAvailability(message.source_id); // maxSessions may have changed
+    this._drainQueue();
+  }
+
+  // Lifetime granted for a requested expires (seconds), or null for no expiry
+  _grantExpires(requested) {
+    const { defaultExpires, minExpires, maxExpires } = this.registration;
+    let expires = typeof requested === 'number' && requested > 0 ? requested : defaultExpires;
+    if (expires === null || expires === undefined) expires = maxExpires ?? null;
+    if (expires === null) return null;
+    if (maxExpires !== null && maxExpires !== undefined) expires = Math.min(expires, maxExpires);
+    return Math.max(expires, minExpires || 0);
+  }
+
+  // Drop a registration from matching; the socket and its sessions are left alone
+  _unregister(sourceId, reason) {
+    const entry = this.registeredEndpoints.get(sourceId);
+    this.matching.unregister(sourceId);
+    this.matching.forget(sourceId);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    this.registeredEndpoints.delete(sourceId);
+    this.emit('unregistered', sourceId, reason);
+    this._notifyPresence(this.presence.unregistered(sourceId));
   }
 
   async _onConnect(ws, message) {
     console.log('[server] connect from', message.source_id);
-    const matches = this.matching.findMatches(message.criteria).filter(id => id !== message.source_id);
-    if (!matches.length) return this._sendError(ws, message.message_id, ErrorTypes.TARGET_UNKNOWN, 'No matching endpoint found');
-    const selected = this.matching.selectEndpoint(matches);
+    if (message.target) return this._onDirectConnect(ws, message);
+    const found = this.matching.rank(message.criteria).filter(r => r.endpointId !== message.source_id);
+    if (!found.length) return this._sendError(ws, message.message_id, ErrorTypes.TARGET_UNKNOWN, 'No matching endpoint found');
+    const { ranked: matches, denial } = this._authorized(this.identities.get(ws) || null, found);
+    if (!matches.length) return this._refuse(ws, 'connect', message, denial);
+    // Endpoints at their maxSessions limit are skipped, falling back to lower ranked matches
+    const ranked = matches.filter(r => !this._saturated(r.endpointId));
+    if (!ranked.length) {
+      if (this.queue) return this._enqueue(ws, message, matches.length);
+      return this._sendError(ws, message.message_id, ErrorTypes.TARGET_BUSY, `All ${matches.length} matching endpoint(s) are busy`);
+    }
+    const forks = this._forksFor(message, ranked);
+    if (forks.length > 1) return this._fork(ws, message, forks);
+    const selected = this.matching.selectEndpoint(ranked, this._selectionContext(message));
     const targetSock = this.endpoints.get(selected);
     if (!targetSock) return this._sendError(ws, message.message_id, ErrorTypes.TARGET_UNKNOWN, 'Selected endpoint unavailable');
-    this.pendingConnections.set(message.source_id, { target: selected, offer: message.offer, messageId: message.message_id });
-    await this._forwardTo(selected, message);
+    const existing = this.sessions.get(message.source_id, selected);
+    if (existing) return this._sendError(ws, message.message_id, ErrorTypes.MESSAGE_UNEXPECTED, `Session with ${selected} is ${existing.state}`);
+    await this._offer(this._pending(message, ranked, selected), selected);
+    this._ack(ws, message);
+  }
+
+  // Connect to a known target source_id: routed on the (source, target) pair, no matching
+  async _onDirectConnect(ws, message) {
+    const { target } = message;
+    if (target === message.source_id || !this._reachable(target)) {
+      return this._sendError(ws, message.message_id, ErrorTypes.TARGET_UNKNOWN, `Endpoint ${target} is not connected`);
+    }
+    if (this._denied(ws, 'connect', message, { target })) return;
+    if (this._saturated(target)) return this._sendError(ws, message.message_id, ErrorTypes.TARGET_BUSY, `Endpoint ${target} is busy`);
+    const existing = this.sessions.get(message.source_id, target);
+    if (existing) return this._sendError(ws, message.message_id, ErrorTypes.MESSAGE_UNEXPECTED, `Session with ${target} is ${existing.state}`);
+    await this._offer(this._pending(message, [], target), target);
+    this._ack(ws, message);
+  }
+
+  // Endpoints a forking connect would ring ([] when forking does not apply)
+  _forksFor(message, ranked) {
+    if (!this.forking || !(message.criteria || []).some(c => this.forking.types.includes(c.type))) return [];
+    return ranked.map(r => r.endpointId)
+      .filter(id => this.endpoints.has(id) && !this.sessions.get(message.source_id, id))
+      .slice(0, this.forking.maxForks);
+  }
+
+  /**
+   * Dry run of a connect: the ranked matches with their capabilities and load, and what a
+   * connect with these criteria would do right now (mode) and among which endpoints (candidates).
+   * @param {Array} criteria - Requested criteria
+   * @param {Object} [options] - { source }: the caller, excluded from the matches;
+   *   { identity }: when given, matches its connect policy does not let it reach are left out
+   * @returns {{ mode: 'none'|'busy'|'queue'|'fork'|'select', count: number, available: number, candidates: string[], matches: Array }}
+   */
+  discover(criteria = [], options = {}) {
+    const source = options.source ?? null;
+    let ranked = this.matching.rank(criteria).filter(r => r.endpointId !== source);
+    if (options.identity !== undefined) ranked = this._authorized(options.identity, ranked).ranked;
+    const matches = ranked.map(r => ({
+      endpoint: r.endpointId,
+      score: r.score,
+      matched: r.matched,
+      deprioritized: r.deprioritized,
+      explanation: r.explanation,
+      capabilities: this.registeredEndpoints.get(r.endpointId)?.capabilities || {},
+      sessions: this._sessionCount(r.endpointId),
+      busy: this._saturated(r.endpointId)
+    }));
+    const available = ranked.filter(r => !this._saturated(r.endpointId));
+    const result = { mode: 'none', count: matches.length, available: available.length, candidates: [], matches };
+    if (!ranked.length) return result;
+    if (!available.length) return { ...result, mode: this.queue ? 'queue' : 'busy' };
+    const forks = this._forksFor({ criteria, source_id: source }, available);
+    if (forks.length > 1) return { ...result, mode: 'fork', candidates: forks };
+    const preferred = this.matching.preferred(available, criteria);
+    if (preferred) return { ...result, mode: 'select', candidates: [preferred], affinity: preferred };
+    // The strategy picks among the equal top scores
+    const top = available[0].score;
+    return { ...result, mode: 'select', candidates: available.filter(r => r.score === top).map(r => r.endpointId) };
+  }
+
+  _pending(message, ranked, selected) {
+    return {
+      target: null,
+      offer: message.offer,
+      messageId: message.message_id,
+      message,
+      // Failover keeps the remaining matches, best ranked first
+      candidates: this.failover ? ranked.map(r => r.endpointId).filter(id => id !== selected) : [],
+      attempted: [],
+      timer: null
+    };
+  }
+
+  // Hold a connect whose matches are all busy; the caller gets its position as application messages
+  _enqueue(ws, message, busy) {
+    if (this.queue.get(message.source_id)) {
+      return this._sendError(ws, message.message_id, ErrorTypes.MESSAGE_UNEXPECTED, 'A connect is already queued');
+    }
+    const entry = this.queue.enqueue(message.source_id, message);
+    if (!entry) return this._sendError(ws, message.message_id, ErrorTypes.TARGET_BUSY, `All ${busy} matching endpoint(s) are busy and the queue is full`);
+    entry.timer = setTimeout(() => {
+      if (!this.queue.remove(message.source_id)) return;
+      this.emit('queue_timeout', message.source_id);
+      const callerWs = this.endpoints.get(message.source_id);
+      if (callerWs) this._sendError(callerWs, message.message_id, ErrorTypes.TARGET_BUSY, 'Timed out waiting in the queue');
+      this._sendQueuePositions();
+    }, this.queue.timeout);
+    entry.timer.unref?.();
+    this.emit('queued', message.source_id, this.queue.position(message.source_id));
+    this._ack(ws, message);
+    this._sendQueuePositions();
+  }
+
+  // Tell every queued caller its current position and estimated wait (seconds), if it changed
+  _sendQueuePositions() {
+    this.queue.entries.forEach((entry, i) => {
+      const position = i + 1;
+      if (entry.notified === position) return;
+      entry.notified = position;
+      const status = new ApplicationMessage(entry.source, 'queue_status', {
+        position,
+        size: this.queue.size,
+        estimated_wait: this.queue.estimatedWait(position, this._slots(entry.message))
+      }, { source_id: this.serverSource });
+      this._forwardTo(entry.source, status);
+    });
+  }
+
+  // Calls the matches of a connect can hold at once: their maxSessions, 1 for endpoints without a limit
+  _slots(message) {
+    const matches = this.matching.rank(message.criteria).filter(r => r.endpointId !== message.source_id);
+    return this._authorized(this._identityOf(message.source_id), matches).ranked.reduce((slots, r) => {
+      const max = this.registeredEndpoints.get(r.endpointId)?.capabilities?.maxSessions;
+      return slots + (Number.isInteger(max) && max >= 0 ? max : 1);
+    }, 0);
+  }
+
+  // Dispatch queued connects, in queue order, to matches that have room again
+  async _drainQueue() {
+    if (!this.queue?.size) return;
+    let dispatched = false;
+    for (const entry of [...this.queue.entries]) {
+      const { message } = entry;
+      if (!this._reachable(message.source_id)) {
+        this.queue.remove(message.source_id);
+        continue;
+      }
+      const matches = this.matching.rank(message.criteria)
+        .filter(r => r.endpointId !== message.source_id && this.endpoints.has(r.endpointId))
+        .filter(r => !this._saturated(r.endpointId) && !this.sessions.get(message.source_id, r.endpointId));
+      const { ranked } = this._authorized(this._identityOf(message.source_id), matches);
+      if (!ranked.length) continue;
+      // A concurrent drain may have dispatched it already
+      if (!this.queue.dispatch(message.source_id, this._slots(message))) continue;
+      const selected = this.matching.selectEndpoint(ranked, this._selectionContext(message));
+      this.emit('dequeued', message.source_id, selected, Date.now() - entry.enqueuedAt);
+      dispatched = true;
+      await this._offer(this._pending(message, ranked, selected), selected);
+    }
+    if (dispatched) this._sendQueuePositions();
+  }
+
+  _openSession(message, target) {
+    const session = this.sessions.create(message.source_id, target, {
+      // request: message_id of the opening connect, named in the answer relayed to the caller;
+      // criteria: what it asked for, remembered for affinity once the target accepts
+      id: uuidv4(), state: SessionStates.IDLE, machine: new SessionStateMachine(), pending: null, timer: null,
+      request: message.message_id, criteria: message.criteria || []
+    });
+    this._transition(session, message);
+    this._checkAvailability(message.source_id, target);
+    return session;
+  }
+
+  // Open a connecting session between the caller and target and forward the connect
+  async _offer(pending, target) {
+    const { message } = pending;
+    this._openSession(message, target);
+    pending.target = target;
+    pending.attempted.push({ endpoint: target });
+    this.pendingConnections.set(message.source_id, pending);
+    if (this.failover) {
+      pending.timer = setTimeout(() => this._failover(message.source_id, 'timeout'), this.failover.timeout);
+      pending.timer.unref?.();
+    }
+    await this._forwardTo(target, message);
+  }
+
+  // The current attempt of a pending connect failed: try the next usable candidate, or report
+  // every attempt to the caller in a target_unknown problem
+  async _failover(source, outcome, reason) {
+    const pending = this.pendingConnections.get(source);
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    const last = pending.attempted[pending.attempted.length - 1];
+    Object.assign(last, { outcome }, reason ? { reason } : {});
+    this.matching.forget(last.endpoint, pending.message.criteria || []);
+    const session = this.sessions.get(source, last.endpoint);
+    if (session) this._releaseSession(session);
+    // The unanswered target still holds the offer; tell it the attempt is over
+    if (outcome === 'timeout') await this._forwardTo(last.endpoint, new CloseMessage(source, { source_id: this.serverSource }));
+    const callerWs = this.endpoints.get(source);
+    if (!callerWs) return this.pendingConnections.delete(source);
+    while (pending.candidates.length && pending.attempted.length < this.failover.maxAttempts) {
+      const next = pending.candidates.shift();
+      if (!this.registeredEndpoints.has(next) || !this.endpoints.has(next) || this._saturated(next) || this.sessions.get(source, next)) continue;
+      this.emit('failover', source, last.endpoint, next, outcome);
+      return this._offer(pending, next);
+    }
+    this.pendingConnections.delete(source);
+    this._sendError(callerWs, pending.messageId, ErrorTypes.TARGET_UNKNOWN,
+      `No matching endpoint accepted the connect (${pending.attempted.length} attempted)`, { attempted: pending.attempted });
+  }
+
+  // Forward the connect to every fork at once; the first accept wins and the rest are closed
+  async _fork(ws, message, forks) {
+    const pending = { target: null, offer: message.offer, messageId: message.message_id, message, forks: new Set(forks), timer: null };
+    this.pendingConnections.set(message.source_id, pending);
+    for (const target of forks) this._openSession(message, target);
+    // As with a failover attempt, the forks get `timeout` ms to answer
+    pending.timer = setTimeout(() => this._forkTimeout(message.source_id), this.forking.timeout);
+    pending.timer.unref?.();
+    this.emit('forked', message.source_id, forks);
+    await Promise.all(forks.map(target => this._forwardTo(target, message)));
     this._ack(ws, message);
   }
 
+  // No fork answered in time: close every one still ringing and report them to the caller
+  _forkTimeout(source) {
+    const pending = this.pendingConnections.get(source);
+    if (!pending?.forks) return;
+    this.pendingConnections.delete(source);
+    const forks = [...pending.forks];
+    this._cancelForks(source, forks, null);
+    this.emit('fork_timeout', source, forks);
+    const callerWs = this.endpoints.get(source);
+    if (!callerWs) return;
+    this._sendError(callerWs, pending.messageId, ErrorTypes.TARGET_UNKNOWN,
+      `No forked endpoint answered the connect within ${this.forking.timeout} ms`,
+      { attempted: forks.map(endpoint => ({ endpoint, outcome: 'timeout' })) });
+  }
+
+  // Drop one fork of a pending connect while others are still ringing; false for the last fork,
+  // whose outcome is handled like a plain connect
+  _dropFork(source, endpointId) {
+    const forks = this.pendingConnections.get(source)?.forks;
+    if (!forks?.has(endpointId) || forks.size === 1) return false;
+    forks.delete(endpointId);
+    const session = this.sessions.get(source, endpointId);
+    if (session) this._releaseSession(session);
+    return true;
+  }
+
+  _cancelForks(source, forks, winner) {
+    for (const id of forks) {
+      if (id === winner) continue;
+      const session = this.sessions.get(source, id);
+      if (session) this._releaseSession(session);
+      this._forwardTo(id, new CloseMessage(source, { source_id: this.serverSource }));
+    }
+  }
+
+  _clearPending(source) {
+    clearTimeout(this.pendingConnections.get(source)?.timer);
+    this.pendingConnections.delete(source);
+  }
+
+  _selectionContext(message) {
+    return {
+      criteria: message.criteria || [],
+      source: message.source_id,
+      load: (id) => this._sessionCount(id),
+      capabilities: (id) => this.registeredEndpoints.get(id)?.capabilities || {}
+    };
+  }
+
+  _sessionCount(endpointId) {
+    return this.sessions.listFor(endpointId).length;
+  }
+
+  // True when the endpoint registered a maxSessions capability and has that many sessions (in any state)
+  _saturated(endpointId) {
+    const max = this.registeredEndpoints.get(endpointId)?.capabilities?.maxSessions;
+    return Number.isInteger(max) && max >= 0 && this._sessionCount(endpointId) >= max;
+  }
+
   async _onAccept(ws, message) {
-    const targetSock = this.endpoints.get(message.target);
-    if (!targetSock) return this._sendError(ws, message.message_id, ErrorTypes.TARGET_UNKNOWN, 'Target endpoint not found');
-    const sessionId = uuidv4();
-    this.activeSessions.set(sessionId, { a: message.source_id, b: message.target, state: 'active' });
-    await this._forwardTo(message.target, message);
+    if (!this._reachable(message.target)) return this._sendError(ws, message.message_id, ErrorTypes.TARGET_UNKNOWN, 'Target endpoint not found');
+    const session = this._sessionFor(ws, message);
+    if (!session) return;
+    // Only the accept of a close may come without an answer
+    if (message.answer === undefined && session.state !== SessionStates.CLOSING) {
+      return this._sendError(ws, message.message_id, ErrorTypes.MESSAGE_MALFORMATTED, `An accept while session is ${session.state} needs an answer`);
+    }
+    const from = session.state;
+    this._transition(session, message);
+    await this._forwardTo(message.target, this._answering(session, from, message));
     this._ack(ws, message);
-    this.emit('session_created', message.source_id, message.target);
+    if (from === SessionStates.CONNECTING) {
+      const forks = this.pendingConnections.get(message.target)?.forks;
+      this._clearPending(message.target);
+      if (forks) this._cancelForks(message.target, forks, message.source_id);
+      this.matching.remember(session.criteria, message.source_id);
+      this.emit('session_created', message.source_id, message.target, session);
+    } else if (session.state === SessionStates.IDLE) {
+      this._releaseSession(session);
+    }
   }
 
   async _onReject(ws, message) {
-    const targetSock = this.endpoints.get(message.target);
-    if (!targetSock) return this._sendError(ws, message.message_id, ErrorTypes.TARGET_UNKNOWN, 'Target endpoint not found');
-    await this._forwardTo(message.target, message);
+    if (!this._reachable(message.target)) return this._sendError(ws, message.message_id, ErrorTypes.TARGET_UNKNOWN, 'Target endpoint not found');
+    const session = this._sessionFor(ws, message);
+    if (!session) return;
+    // An endpoint that turns a connect down is no longer preferred for its affinity key
+    if (session.state === SessionStates.CONNECTING) this.matching.forget(message.source_id, session.criteria);
+    // A rejecting fork drops out quietly; only the last one's reject reaches the caller
+    if (session.state === SessionStates.CONNECTING && this._dropFork(message.target, message.source_id)) {
+      return this._ack(ws, message);
+    }
+    // With failover, a rejected connect goes to the next candidate instead of back to the caller
+    if (this.failover && session.state === SessionStates.CONNECTING && this.pendingConnections.get(message.target)?.target === message.source_id) {
+      this._ack(ws, message);
+      return this._failover(message.target, 'rejected', message.reason);
+    }
+    const from = session.state;
+    this._transition(session, message);
+    await this._forwardTo(message.target, this._answering(session, from, message));
     this._ack(ws, message);
+    if (session.state === SessionStates.IDLE) {
+      this._clearPending(message.target);
+      this._releaseSession(session);
+    }
+  }
+
+  // An accept/reject of a connect names it in `request`, so a caller with several criteria
+  // connects outstanding can tell which one the answering endpoint took
+  _answering(session, from, message) {
+    return from === SessionStates.CONNECTING ? { ...message, request: session.request } : message;
   }
 
   async _onUpdate(ws, message) {
-    const targetSock = this.endpoints.get(message.target);
-    if (!targetSock) return this._sendError(ws, message.message_id, ErrorTypes.TARGET_UNKNOWN, 'Target endpoint not found');
+    if (!this._reachable(message.target)) return this._sendError(ws, message.message_id, ErrorTypes.TARGET_UNKNOWN, 'Target endpoint not found');
+    const session = this._sessionFor(ws, message);
+    if (!session) return;
+    this._transition(session, message);
     await this._forwardTo(message.target, message);
     this._ack(ws, message);
   }
 
   async _onClose(ws, message) {
-    const targetSock = this.endpoints.get(message.target);
-    if (targetSock) await this._forwardTo(message.target, message);
-    // remove matching session
-    for (const [sid, s] of this.activeSessions.entries()) {
-      if ((s.a === message.source_id && s.b === message.target) || (s.b === message.source_id && s.a === message.target)) {
-        this.activeSessions.delete(sid);
-        break;
-      }
-    }
+    const session = this._sessionFor(ws, message);
+    if (!session) return;
+    // The caller gave up on its pending connect
+    if (this.pendingConnections.get(message.source_id)?.target === message.target) this._clearPending(message.source_id);
+    this._transition(session, message);
+    const reachable = this._reachable(message.target);
+    if (reachable) await this._forwardTo(message.target, message);
     this._ack(ws, message);
-    this.emit('session_closed', message.source_id, message.target);
+    if (session.state === SessionStates.IDLE || !reachable) {
+      this._releaseSession(session);
+    } else {
+      // Wait for the peer's accept, but do not hold resources forever
+      session.timer = setTimeout(() => this._releaseSession(session), this.options.closeTimeout);
+      session.timer.unref?.();
+    }
   }
 
   async _onApplication(ws, message) {
-    const targetSock = this.endpoints.get(message.target);
-    if (!targetSock) return this._sendError(ws, message.message_id, ErrorTypes.TARGET_UNKNOWN, 'Target endpoint not found');
+    // Presence subscriptions and discovery are addressed to the server rather than relayed; peers may use the same types among themselves
+    if (this._forServer(message) && (message.type === 'presence_subscribe' || message.type === 'presence_unsubscribe')) return this._onPresence(ws, message);
+    if (this._forServer(message) && message.type === 'discover') return this._onDiscover(ws, message);
+    if (!this._reachable(message.target)) return this._sendError(ws, message.message_id, ErrorTypes.TARGET_UNKNOWN, 'Target endpoint not found');
+    const session = this._sessionFor(ws, message);
+    if (!session) return;
     await this._forwardTo(message.target, message);
     this._ack(ws, message);
   }
 
+  // Addressed to the server: its source_id, or the sender's own before it has learnt the server's
+  _forServer(message) {
+    return message.target === this.serverSource || message.target === message.source_id;
+  }
+
+  _onPresence(ws, message) {
+    const { id, criteria } = message.value || {};
+    if (typeof id !== 'string' || !id) return this._sendError(ws, message.message_id, ErrorTypes.MESSAGE_MALFORMATTED, 'Presence subscription id missing');
+    if (message.type === 'presence_unsubscribe') {
+      this.presence.unsubscribe(message.source_id, id);
+      return this._ack(ws, message);
+    }
+    if (!Array.isArray(criteria)) return this._sendError(ws, message.message_id, ErrorTypes.MESSAGE_MALFORMATTED, 'Presence criteria must be an array');
+    const initial = this.presence.subscribe(message.source_id, id, criteria);
+    this._ack(ws, message);
+    this._notifyPresence(initial);
+  }
+
+  _onDiscover(ws, message) {
+    const { id, criteria } = message.value || {};
+    if (typeof id !== 'string' || !id || !Array.isArray(criteria)) {
+      return this._sendError(ws, message.message_id, ErrorTypes.MESSAGE_MALFORMATTED, 'Discovery needs an id and a criteria array');
+    }
+    this._ack(ws, message);
+    const result = this.discover(criteria, { source: message.source_id, identity: this.identities.get(ws) || null });
+    this._forwardTo(message.source_id, new ApplicationMessage(message.source_id, 'discover_result', { id, ...result }, { source_id: this.serverSource }));
+  }
+
+  _checkAvailability(...endpointIds) {
+    for (const id of endpointIds) {
+      if (this.registeredEndpoints.has(id)) this._notifyPresence(this.presence.availability(id, this._saturated(id)));
+    }
+  }
+
+  _notifyPresence(notes) {
+    for (const { owner, value } of notes) {
+      this._forwardTo(owner, new ApplicationMessage(owner, 'presence', value, { source_id: this.serverSource }));
+    }
+  }
+
+  // Look up the (source, target) session and check the message is allowed in its current state
+  _sessionFor(ws, message) {
+    const event = message.message_type;
+    const session = this.sessions.get(message.source_id, message.target);
+    // accept/reject (and a crossing close) must come from the peer of the pending request
+    const answers = event === 'accept' || event === 'reject' || (event === 'close' && session?.state === SessionStates.CLOSING);
+    if (!session || !session.machine.can(event) || (answers && session.pending === message.source_id)) {
+      const state = session?.state || SessionStates.IDLE;
+      this._sendError(ws, message.message_id, ErrorTypes.MESSAGE_UNEXPECTED, `Cannot ${event} while session is ${state}`);
+      return null;
+    }
+    return session;
+  }
+
+  _transition(session, message) {
+    const event = message.message_type;
+    if (event === 'application') return session.state;
+    session.state = session.machine.apply(event);
+    if (event === 'connect' || event === 'update' || event === 'close') session.pending = message.source_id;
+    else session.pending = null;
+    if (event === 'accept' && session.state === SessionStates.CONNECTED) session.established = true;
+    if (event === 'close' && !session.closedBy) session.closedBy = message.source_id;
+    return session.state;
+  }
+
+  _releaseSession(session) {
+    clearTimeout(session.timer);
+    if (!this.sessions.get(session.a, session.b)) return;
+    session.state = session.machine.state = SessionStates.IDLE;
+    this.sessions.remove(session.a, session.b);
+    this._checkAvailability(session.a, session.b);
+    this._drainQueue();
+    if (!session.established) return;
+    const closedBy = session.closedBy || session.a;
+    this.emit('session_closed', closedBy, closedBy === session.a ? session.b : session.a, session);
+  }
+
   async _forwardTo(targetId, messageObj) {
-    const endpoint = this.registeredEndpoints.get(targetId);
-    if (!endpoint) return;
-    let out = messageObj;
-    const wantsSec = !!endpoint.capabilities?.security?.integrity || !!endpoint.capabilities?.security?.encryption;
-    if (wantsSec && this.security?.config?.enabled) {
-      try {
-        const raw = JSON.parse(JSON.stringify(messageObj));
-        out = await this.security.prepareOutgoing(raw);
-      } catch {
-        out = messageObj;
-      }
+    const ws = this.endpoints.get(targetId);
+    if (!ws) {
+      // Held for an endpoint inside its grace window, oldest dropped beyond maxBuffered
+      const suspended = this.suspended.get(targetId);
+      if (suspended && suspended.buffer.push(messageObj) > this.resumption.maxBuffered) suspended.buffer.shift();
+      return;
     }
-    endpoint.ws.send(JSON.stringify(out));
+    await this._send(ws, targetId, messageObj);
   }
 
-  _sendError(ws, responseTo, errorType, detail) {
+  _sendError(ws, responseTo, errorType, detail, extensions = {}) {
     let problem = ProblemDetails[errorType]?.() || { type: errorType, title: 'Bad Request', status: 400, detail };
     if (detail) problem.detail = detail;
-    const resp = new ResponseMessage(responseTo || 0, 400, 'Bad Request', problem, { source_id: this.serverSource });
-    ws.send(JSON.stringify(resp));
+    Object.assign(problem, extensions); // RFC 7807 extension members
+    const resp = new ResponseMessage(responseTo || 0, problem.status || 400, problem.title || 'Bad Request', problem, { source_id: this.serverSource });
+    ws.send(JSON.stringify(toWire(resp, this._profileFor(ws))));
   }
 
   _closeSessionsFor(source) {
-    for (const [sid, s] of this.activeSessions.entries()) {
-      if (s.a === source || s.b === source) {
-        const other = s.a === source ? s.b : s.a;
-        const otherWs = this.endpoints.get(other);
-        if (otherWs) {
-          const close = new CloseMessage(source, { source_id: this.serverSource });
-          otherWs.send(JSON.stringify(close));
-        }
-        this.activeSessions.delete(sid);
+    this._clearPending(source);
+    if (this.queue?.remove(source)) this._sendQueuePositions();
+    for (const s of this.sessions.listFor(source)) {
+      const other = s.a === source ? s.b : s.a;
+      if (this.failover && s.state === SessionStates.CONNECTING && this.pendingConnections.get(other)?.target === source) {
+        this._failover(other, 'disconnected');
+        continue;
       }
+      if (s.state === SessionStates.CONNECTING && this._dropFork(other, source)) continue;
+      if (s.state === SessionStates.CONNECTING && s.pending === other) this._clearPending(other);
+      this._forwardTo(other, new CloseMessage(source, { source_id: this.serverSource }));
+      if (!s.closedBy) s.closedBy = source;
+      this._releaseSession(s);
     }
   }
 }
@@ -0,0 +1,62 @@
+import { Emitter } from '../utils/Emitter.js';
+import { SessionStateMachine, SessionStates } from '../state/SessionStateMachine.js';
+
+// One signalling session between a SwapClient and a remote peer, tracked with the same per-session
+// states as the server (TS 26.113 § 13.2.4.3). Emits 'accept' (answer), 'reject' (reason),
+// 'update' (sdp), 'close', 'application' (type, value) for messages from the peer, 'error'
+// (SwapError) when the server gives up on an outgoing connect, and a single 'closed'
+// ({ reason, initiator }) once a close handshake is over or the connection is lost.
+export class SwapSession extends Emitter {
+  constructor(client, peer, options = {}) {
+    super();
+    this.client = client;
+    // For a connect by criteria the peer is unknown until one of the matching endpoints answers
+    this.peer = peer;
+    this.direction = options.direction || 'outgoing'; // 'outgoing' when we sent the connect
+    this.messageId = options.messageId ?? null; // message_id of the connect that opened the session
+    this.offer = options.offer ?? null;
+    this.answer = null;
+    this.closeInfo = null; // { reason, initiator } once the session is over
+    this._closing = null; // { promise, resolve, timer } while our close awaits the peer's accept
+    this.createdAt = Date.now();
+    this.machine = new SessionStateMachine();
+    this.machine.apply('connect');
+  }
+
+  get state() {
+    return this.machine.state;
+  }
+
+  accept(answer) {
+    return this.client.accept(this._target(), answer);
+  }
+
+  reject(reason, details) {
+    return this.client.reject(this._target(), reason, details);
+  }
+
+  update(sdp) {
+    return this.client.update(this._target(), sdp);
+  }
+
+  close() {
+    return this.client.close(this._target());
+  }
+
+  send(type, value) {
+    return this.client.sendApp(this._target(), type, value);
+  }
+
+  _target() {
+    if (!this.peer) throw new Error('Session has not been answered yet');
+    return this.peer;
+  }
+
+  _apply(event) {
+    return this.machine.apply(event);
+  }
+
+  _end() {
+    this.machine.state = SessionStates.IDLE;
+  }
+}
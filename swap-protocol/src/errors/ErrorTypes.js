@@ -2,6 +2,8 @@ export const ErrorTypes = Object.freeze({
   MESSAGE_UNKNOWN: 'message_unknown',
   MESSAGE_MALFORMATTED: 'message_malformatted',
   TARGET_UNKNOWN: 'target_unknown',
-  UNAUTHORIZED: 'unauthorized'
+  UNAUTHORIZED: 'unauthorized',
+  MESSAGE_UNEXPECTED: 'message_unexpected',
+  TARGET_BUSY: 'target_busy'
 });
 
@@ -25,5 +25,22 @@ export class ProblemDetails {
   static [ErrorTypes.UNAUTHORIZED]() {
     return this.create(ErrorTypes.UNAUTHORIZED, 'Unauthorized', 'Authentication or authorization failed', 401);
   }
-}
 
+  static [ErrorTypes.MESSAGE_UNEXPECTED]() {
+    return this.create(
+      ErrorTypes.MESSAGE_UNEXPECTED,
+      'Message unexpected',
+      'The message is not allowed in the current session state',
+      409
+    );
+  }
+
+  static [ErrorTypes.TARGET_BUSY]() {
+    return this.create(
+      ErrorTypes.TARGET_BUSY,
+      'Target busy',
+      'Every matching endpoint is at its session limit',
+      503
+    );
+  }
+}
@@ -9,6 +9,7 @@ export { UpdateMessage } from './messages/UpdateMessage.js';
 export { CloseMessage } from './messages/CloseMessage.js';
 export { ApplicationMessage } from './messages/ApplicationMessage.js';
 export { MessageFactory } from './messages/MessageFactory.js';
+export { WireProfiles, detectProfile, toWire, fromWire } from './messages/WireFormat.js';
 
 export { validateMessageShape, getSchemaFor } from './utils/Validator.js';
 export { generateSourceId, nextMessageId } from './utils/IdGenerator.js';
@@ -25,20 +26,37 @@ export { ReconnectionManager } from './transport/ReconnectionManager.js';
 
 // State and sessions
 export { States, StateMachine } from './state/StateMachine.js';
+export { SessionStates, SessionStateMachine } from './state/SessionStateMachine.js';
 export { SessionManager } from './core/SessionManager.js';
+export { CallQueue } from './core/CallQueue.js';
+export { PresenceRegistry } from './core/PresenceRegistry.js';
+export { PresenceSubscription } from './core/PresenceSubscription.js';
 
 // Matching
-export { MatchingEngine } from './matching/MatchingEngine.js';
+export { MatchingEngine, DEFAULT_SOFT_TYPES } from './matching/MatchingEngine.js';
 export { CriteriaBuilder } from './matching/CriteriaBuilder.js';
+export { ComparatorRegistry, DefaultComparators } from './matching/Comparators.js';
+export { AffinityTable, AFFINITY_TYPE } from './matching/AffinityTable.js';
+export {
+  SelectionStrategies,
+  createStrategy,
+  RandomStrategy,
+  LeastSessionsStrategy,
+  WeightedRoundRobinStrategy,
+  ConsistentHashStrategy
+} from './matching/SelectionStrategies.js';
 
 // Core client
 export { SwapClient } from './core/SwapClient.js';
+export { SwapSession } from './core/SwapSession.js';
+export { SwapEndpoint } from './core/SwapEndpoint.js';
 
 // Security
 export { SecurityManager } from './security/SecurityManager.js';
 export { Encryption } from './security/Encryption.js';
 export { IntegrityProtection } from './security/IntegrityProtection.js';
 export { KeyDerivation } from './security/KeyDerivation.js';
+export { JwtVerifier } from './security/JwtVerifier.js';
 
 // SDP/WebRTC helpers
 export { SdpUtils } from './sdp/SdpUtils.js';
@@ -1,3 +1,4 @@
 export * from './index.js';
 export { SwapServer } from './core/SwapServer.js';
-
+export { SwapPeerListener } from './core/SwapPeerListener.js';
+export { AuthorizationPolicy } from './security/AuthorizationPolicy.js';
@@ -0,0 +1,53 @@
+// Remembers which endpoint last served an affinity key so returning users reach the same
+// (stateful) endpoint. The key is taken from the first connect criterion whose type is listed in
+// `types`: by default an explicit `affinity` criterion, else the `user` criterion.
+export const AFFINITY_TYPE = 'affinity';
+
+export class AffinityTable {
+  constructor(options = {}) {
+    this.ttl = options.ttl ?? 10 * 60 * 1000; // ms an entry lives after its last use
+    this.types = options.types || [AFFINITY_TYPE, 'user'];
+    this.maxEntries = options.maxEntries ?? 100000;
+    this.entries = new Map(); // key -> { endpointId, expiresAt }, least recently used first
+  }
+
+  keyFor(criteria = []) {
+    for (const type of this.types) {
+      const c = criteria.find(x => x?.type === type);
+      if (c) return `${type}:${JSON.stringify(c.value)}`;
+    }
+    return null;
+  }
+
+  // Endpoint remembered for the criteria, or null if none or expired
+  lookup(criteria) {
+    const key = this.keyFor(criteria);
+    const entry = key && this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.endpointId;
+  }
+
+  remember(criteria, endpointId) {
+    const key = this.keyFor(criteria);
+    if (!key || !endpointId) return;
+    this.entries.delete(key);
+    this.entries.set(key, { endpointId, expiresAt: Date.now() + this.ttl });
+    if (this.entries.size > this.maxEntries) this.entries.delete(this.entries.keys().next().value);
+  }
+
+  // Drop the entries pointing to the endpoint; with criteria, only the key they carry
+  forget(endpointId, criteria) {
+    if (criteria) {
+      const key = this.keyFor(criteria);
+      if (key && this.entries.get(key)?.endpointId === endpointId) this.entries.delete(key);
+      return;
+    }
+    for (const [key, entry] of this.entries) {
+      if (entry.endpointId === endpointId) this.entries.delete(key);
+    }
+  }
+}
@@ -0,0 +1,188 @@
+// Per-type matching semantics for the criteria of TS 26.113 § 13.2.4.4.2.
+// A comparator receives (registeredValue, requestedValue) and returns true on a match.
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const equals = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+// "one or more identifiers": arrays on either side match if any element does
+const anyOf = (fn) => (registered, requested) => {
+  const regs = Array.isArray(registered) ? registered : [registered];
+  const reqs = Array.isArray(requested) ? requested : [requested];
+  return regs.some(r => reqs.some(q => fn(r, q)));
+};
+
+export function parseIpv4(text) {
+  const parts = String(text).split('.');
+  if (parts.length !== 4) return null;
+  let n = 0n;
+  for (const p of parts) {
+    if (!/^\d{1,3}$/.test(p) || Number(p) > 255) return null;
+    n = (n << 8n) | BigInt(p);
+  }
+  return n;
+}
+
+export function parseIpv6(text) {
+  let str = String(text).toLowerCase();
+  // Embedded IPv4 tail, e.g. ::ffff:10.0.0.1
+  const v4 = str.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (v4) {
+    const n = parseIpv4(v4[1]);
+    if (n === null) return null;
+    str = str.slice(0, -v4[1].length) + `${(n >> 16n).toString(16)}:${(n & 0xffffn).toString(16)}`;
+  }
+  const halves = str.split('::');
+  if (halves.length > 2) return null;
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const fill = halves.length === 2 ? 8 - head.length - tail.length : 0;
+  if (fill < 0 || (halves.length === 1 && head.length !== 8)) return null;
+  const groups = [...head, ...Array(fill).fill('0'), ...tail];
+  let n = 0n;
+  for (const g of groups) {
+    if (!/^[0-9a-f]{1,4}$/.test(g)) return null;
+    n = (n << 16n) | BigInt(parseInt(g, 16));
+  }
+  return n;
+}
+
+// Parse "addr" or "addr/prefix" into a [first, last] range
+export function cidrRange(value, parse, bits) {
+  const [addr, prefixText] = String(value).split('/');
+  const base = parse(addr);
+  if (base === null) return null;
+  const prefix = prefixText === undefined ? bits : Number(prefixText);
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > bits) return null;
+  const hostBits = BigInt(bits - prefix);
+  const first = (base >> hostBits) << hostBits;
+  return [first, first + (1n << hostBits) - 1n];
+}
+
+// Addresses/ranges match when one contains the other
+const cidr = (parse, bits) => anyOf((registered, requested) => {
+  const a = cidrRange(registered, parse, bits);
+  const b = cidrRange(requested, parse, bits);
+  if (!a || !b) return false;
+  return (a[0] <= b[0] && b[1] <= a[1]) || (b[0] <= a[0] && a[1] <= b[1]);
+});
+
+// "*.example.com" matches exactly one extra label; ".example.com" matches any subdomain or the domain itself
+function fqdnPatternMatches(pattern, name) {
+  if (pattern.startsWith('*.')) {
+    const suffix = pattern.slice(1);
+    return name.endsWith(suffix) && !name.slice(0, -suffix.length).includes('.') && name.length > suffix.length;
+  }
+  if (pattern.startsWith('.')) return name === pattern.slice(1) || name.endsWith(pattern);
+  return pattern === name;
+}
+
+const fqdn = anyOf((registered, requested) => {
+  const norm = (v) => String(v).toLowerCase().replace(/\.$/, '');
+  const a = norm(registered);
+  const b = norm(requested);
+  return fqdnPatternMatches(b, a) || fqdnPatternMatches(a, b);
+});
+
+function distanceKm(a, b) {
+  const rad = (d) => (d * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLon = rad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+// Hierarchical areas ("eu/fr/paris") match when one contains the other;
+// geo points/circles ({ lat, lon, radiusKm }) match when the circles overlap
+const location = anyOf((registered, requested) => {
+  if (isObject(registered) && isObject(requested)) {
+    if (typeof registered.lat !== 'number' || typeof requested.lat !== 'number') return equals(registered, requested);
+    return distanceKm(registered, requested) <= (registered.radiusKm || 0) + (requested.radiusKm || 0);
+  }
+  if (typeof registered !== 'string' || typeof requested !== 'string') return false;
+  const a = registered.toLowerCase().split('/').filter(Boolean);
+  const b = requested.toLowerCase().split('/').filter(Boolean);
+  const n = Math.min(a.length, b.length);
+  return n > 0 && a.slice(0, n).join('/') === b.slice(0, n).join('/');
+});
+
+// Registered metrics ({ bandwidthKbps: 5000 }) against requested thresholds ({ bandwidthKbps: { min: 1000 } });
+// plain values (e.g. 'high') compare by equality
+function qos(registered, requested) {
+  if (!isObject(requested) || !isObject(registered)) return equals(registered, requested);
+  return Object.entries(requested).every(([metric, want]) => {
+    const have = registered[metric];
+    if (isObject(want) && ('min' in want || 'max' in want)) {
+      return typeof have === 'number' && (want.min === undefined || have >= want.min) && (want.max === undefined || have <= want.max);
+    }
+    return equals(have, want);
+  });
+}
+
+// Split-rendering capability as decode (input) / encode (output) format pairs.
+// { decode: ['hevc', 'gltf'], encode: ['h264'] } supports every decode x encode combination;
+// an array of such objects is the union of its entries.
+function processingPairs(value) {
+  const pairs = new Set();
+  for (const profile of Array.isArray(value) ? value : [value]) {
+    if (!isObject(profile) || profile.decode === undefined || profile.encode === undefined) return null;
+    const list = (v) => (Array.isArray(v) ? v : [v]).map(f => String(f).toLowerCase());
+    for (const d of list(profile.decode)) for (const e of list(profile.encode)) pairs.add(`${d}>${e}`);
+  }
+  return pairs;
+}
+
+// Matches when the endpoint supports every requested pair; named profiles (strings) compare by equality
+function processing(registered, requested) {
+  const want = processingPairs(requested);
+  const have = processingPairs(registered);
+  if (!want || !have) return equals(registered, requested);
+  for (const pair of want) if (!have.has(pair)) return false;
+  return true;
+}
+
+export const DefaultComparators = Object.freeze({
+  ipv4: cidr(parseIpv4, 32),
+  ipv6: cidr(parseIpv6, 128),
+  fqdn,
+  service: equals,
+  user: equals,
+  eas: equals,
+  app: equals,
+  location,
+  qos,
+  processing
+});
+
+export class ComparatorRegistry {
+  constructor(comparators = {}) {
+    this._comparators = new Map(Object.entries({ ...DefaultComparators, ...comparators }));
+  }
+
+  register(type, comparator) {
+    if (typeof comparator !== 'function') throw new Error(`Comparator for ${type} must be a function`);
+    this._comparators.set(type, comparator);
+    return this;
+  }
+
+  get(type) {
+    return this._comparators.get(type) || equals;
+  }
+
+  // True if the type matches by exact equality, so it can be served from a value index
+  isExact(type) {
+    return this.get(type) === equals;
+  }
+
+  // True while the type keeps its built-in comparator, so a value index built for it stays valid
+  isDefault(type) {
+    return this._comparators.get(type) === DefaultComparators[type];
+  }
+
+  // Types without a comparator fall back to exact (JSON) equality
+  matches(type, registered, requested) {
+    try {
+      return !!this.get(type)(registered, requested);
+    } catch {
+      return false;
+    }
+  }
+}
@@ -10,6 +10,20 @@ export class CriteriaBuilder {
   withApp(app) { this.criteria.push({ type: 'app', value: app }); return this; }
   with(type, value) { this.criteria.push({ type, value }); return this; }
 
+  // Structured values understood by the typed comparators (see Comparators.js)
+  withIpv4(addressOrCidr) { return this.with('ipv4', addressOrCidr); }
+  withIpv6(addressOrCidr) { return this.with('ipv6', addressOrCidr); }
+  withFqdn(nameOrPattern) { return this.with('fqdn', nameOrPattern); } // 'media.example.com', '*.example.com', '.example.com'
+  withEas(easId) { return this.with('eas', easId); }
+  withAffinity(key) { return this.with('affinity', key); } // routing hint for affinity, never matched
+  withArea(...segments) { return this.with('location', segments.flat().join('/')); } // withArea('eu', 'fr', 'paris')
+  withGeo(lat, lon, radiusKm) { return this.with('location', radiusKm === undefined ? { lat, lon } : { lat, lon, radiusKm }); }
+  // thresholds: { bandwidthKbps: { min: 1000 }, latencyMs: { max: 50 } }
+  withQosThresholds(thresholds) { return this.with('qos', thresholds); }
+  // Split-rendering capability: every decode format can be rendered to every encode format
+  withProcessing(decode, encode) { return this.with('processing', { decode: [].concat(decode), encode: [].concat(encode) }); }
+  // Explicit pairs: [{ decode: 'gltf', encode: 'h264' }, { decode: 'hevc', encode: 'av1' }]
+  withProcessingPairs(pairs) { return this.with('processing', pairs.map(({ decode, encode }) => ({ decode, encode }))); }
+
   build() { return this.criteria; }
 }
-
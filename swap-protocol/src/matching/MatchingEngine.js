@@ -1,51 +1,209 @@
+import { ComparatorRegistry } from './Comparators.js';
+import { createStrategy } from './SelectionStrategies.js';
+import { AffinityTable, AFFINITY_TYPE } from './AffinityTable.js';
+import { addTo, removeFrom, union, createValueIndex, INDEXED_TYPES } from './ValueIndexes.js';
+
+// Criterion types an endpoint may omit at registration: missing ones deprioritize rather than exclude
+// the endpoint (TS 26.113 § 13.2.4.4.2)
+export const DEFAULT_SOFT_TYPES = Object.freeze(['qos', 'processing']);
+
+const valueKey = (type, value) => `${type}\u0000${JSON.stringify(value)}`;
+
 export class MatchingEngine {
-  constructor() {
+  constructor(options = {}) {
     this.registry = new Map(); // endpointId -> { criteria: [], updatedAt }
+    this.byType = new Map(); // criterion type -> Set<endpointId>
+    this.byValue = new Map(); // type + JSON value -> Set<endpointId>
+    this.comparators = options.comparators instanceof ComparatorRegistry
+      ? options.comparators
+      : new ComparatorRegistry(options.comparators);
+    this.softTypes = new Set(options.softTypes || DEFAULT_SOFT_TYPES);
+    this.valueIndexes = new Map(); // typed criterion type -> value index (see ValueIndexes.js)
+    for (const type of INDEXED_TYPES) {
+      if (this.comparators.isDefault(type)) this.valueIndexes.set(type, createValueIndex(type));
+    }
+    this.lacking = new Map([...this.softTypes].map(type => [type, new Set()])); // soft type -> endpoints without it
+    this.strategy = createStrategy(options.strategy);
+    this.serviceStrategies = new Map(); // service criterion value -> strategy
+    for (const [service, spec] of Object.entries(options.serviceStrategies || {})) this.setStrategy(spec, service);
+    // Opt-in affinity: true, AffinityTable options ({ ttl, types }) or an AffinityTable
+    this.affinity = options.affinity instanceof AffinityTable
+      ? options.affinity
+      : (options.affinity ? new AffinityTable(options.affinity === true ? {} : options.affinity) : null);
   }
 
-  register(endpointId, criteria = []) {
-    this.registry.set(endpointId, { criteria: Array.isArray(criteria) ? criteria : [], updatedAt: Date.now() });
+  register(endpointId, criteria = [], capabilities = {}) {
+    if (this.registry.has(endpointId)) this._unindex(endpointId);
+    const entry = { criteria: Array.isArray(criteria) ? criteria : [], capabilities: capabilities || {}, updatedAt: Date.now() };
+    this.registry.set(endpointId, entry);
+    for (const c of entry.criteria) {
+      if (!c || typeof c.type !== 'string') continue;
+      addTo(this.byType, c.type, endpointId);
+      addTo(this.byValue, valueKey(c.type, c.value), endpointId);
+      this.valueIndexes.get(c.type)?.add(endpointId, c.value);
+    }
+    for (const [type, set] of this.lacking) {
+      if (!entry.criteria.some(c => c?.type === type)) set.add(endpointId);
+    }
   }
 
   unregister(endpointId) {
+    if (this.registry.has(endpointId)) this._unindex(endpointId);
     this.registry.delete(endpointId);
+    for (const strategy of [this.strategy, ...this.serviceStrategies.values()]) strategy.forget?.(endpointId);
   }
 
-  _criterionKey(c) {
-    return `${c.type}::${JSON.stringify(c.value)}`;
+  _unindex(endpointId) {
+    for (const c of this.registry.get(endpointId).criteria) {
+      if (!c || typeof c.type !== 'string') continue;
+      removeFrom(this.byType, c.type, endpointId);
+      removeFrom(this.byValue, valueKey(c.type, c.value), endpointId);
+      this.valueIndexes.get(c.type)?.remove(endpointId, c.value);
+    }
+    for (const set of this.lacking.values()) set.delete(endpointId);
   }
 
-  _criteriaSet(criteria) {
-    const set = new Set();
-    for (const c of criteria || []) set.add(this._criterionKey(c));
-    return set;
+  // Narrow the registry to endpoints that can satisfy every mandatory criterion: exact-match
+  // types come straight from the value index, location/ipv4/ipv6/qos from their value indexes and
+  // other typed ones from the endpoints registering that type. A soft criterion narrows only when
+  // indexed, and keeps the endpoints that did not register its type. Only the smallest set is
+  // iterated; the rest are membership checks, and _score() has the final say.
+  _candidates(criteria) {
+    const sets = [];
+    for (const c of criteria) {
+      if (c.type === AFFINITY_TYPE) continue;
+      const index = this.valueIndexes.get(c.type);
+      const exact = this.comparators.isExact(c.type);
+      const soft = this.softTypes.has(c.type);
+      if (soft && !index && !exact) continue;
+      let set = exact
+        ? this.byValue.get(valueKey(c.type, c.value))
+        : (index ? index.candidates(c.value) : this.byType.get(c.type));
+      if (soft) set = union([set, this.lacking.get(c.type)]);
+      if (!set?.size) return [];
+      sets.push(set);
+    }
+    if (!sets.length) return this.registry.keys();
+    sets.sort((a, b) => a.size - b.size);
+    const [smallest, ...rest] = sets;
+    const out = [];
+    for (const id of smallest) {
+      if (rest.every(set => set.has(id))) out.push(id);
+    }
+    return out;
   }
 
-  findMatches(criteria = []) {
-    // Return endpoints that satisfy ALL provided criteria
-    const querySet = this._criteriaSet(criteria);
-    const matches = [];
-    for (const [endpointId, entry] of this.registry.entries()) {
-      const regSet = this._criteriaSet(entry.criteria);
-      let ok = true;
-      for (const key of querySet) {
-        if (!regSet.has(key)) { ok = false; break; }
-      }
-      if (ok) matches.push({ endpointId, criteriaCount: entry.criteria?.length || 0 });
+  // Default selection strategy, or the one used for connects carrying the given service criterion
+  setStrategy(spec, service) {
+    const strategy = createStrategy(spec);
+    if (service === undefined) this.strategy = strategy;
+    else this.serviceStrategies.set(service, strategy);
+    return this;
+  }
+
+  _strategyFor(criteria) {
+    const service = (criteria || []).find(c => c.type === 'service');
+    return (service && this.serviceStrategies.get(service.value)) || this.strategy;
+  }
+
+  // Plug in matching semantics for a custom (or built-in) criterion type
+  registerComparator(type, comparator) {
+    this.comparators.register(type, comparator);
+    // The value index encodes the built-in semantics; a replaced comparator falls back to byType
+    if (!this.comparators.isDefault(type)) this.valueIndexes.delete(type);
+    return this;
+  }
+
+  // True if any registered criterion of the same type satisfies the requested one
+  _satisfies(registered, requested) {
+    return registered.some(c => c.type === requested.type && this.comparators.matches(c.type, c.value, requested.value));
+  }
+
+  // Score one endpoint: null if excluded, else { score, matched, deprioritized }.
+  // Mandatory criteria must be satisfied; a soft criterion whose type the endpoint did not
+  // register costs a point, one it registered but does not satisfy excludes the endpoint.
+  _score(registered, criteria) {
+    const matched = [];
+    const deprioritized = [];
+    for (const c of criteria || []) {
+      if (c.type === AFFINITY_TYPE) continue; // routing hint only, never matched
+      if (this._satisfies(registered, c)) matched.push(c.type);
+      else if (this.softTypes.has(c.type) && !registered.some(r => r.type === c.type)) deprioritized.push(c.type);
+      else return null;
     }
-    return matches.map(m => m.endpointId);
+    return { score: matched.length, matched, deprioritized };
   }
 
-  selectEndpoint(matches = []) {
+  _explain({ matched, deprioritized }) {
+    const parts = [matched.length ? `matched ${matched.join(', ')}` : 'no criteria requested'];
+    if (deprioritized.length) parts.push(`deprioritized: did not register ${deprioritized.join(', ')}`);
+    return parts.join('; ');
+  }
+
+  /**
+   * Rank every endpoint that is not excluded by the criteria, best first.
+   * @param {Array} criteria - Requested criteria
+   * @returns {Array<{ endpointId: string, score: number, matched: string[], deprioritized: string[], explanation: string }>}
+   */
+  rank(criteria = []) {
+    const ranked = [];
+    for (const endpointId of this._candidates(criteria || [])) {
+      const result = this._score(this.registry.get(endpointId).criteria, criteria);
+      if (result) ranked.push({ endpointId, ...result, explanation: this._explain(result) });
+    }
+    return ranked.sort((a, b) => b.score - a.score);
+  }
+
+  // True if the registered endpoint is not excluded by the criteria
+  matches(endpointId, criteria = []) {
+    const entry = this.registry.get(endpointId);
+    return !!entry && this._score(entry.criteria, criteria || []) !== null;
+  }
+
+  findMatches(criteria = []) {
+    // Endpoints that satisfy all mandatory criteria, best ranked first
+    return this.rank(criteria).map(r => r.endpointId);
+  }
+
+  // Endpoint the affinity table remembers for the criteria, if it is among the matches
+  preferred(matches = [], criteria = []) {
+    const id = this.affinity?.lookup(criteria);
+    return id && matches.some(m => (typeof m === 'string' ? m : m.endpointId) === id) ? id : null;
+  }
+
+  // With affinity, record that the endpoint took a connect with these criteria
+  remember(criteria, endpointId) {
+    this.affinity?.remember(criteria, endpointId);
+  }
+
+  // With affinity, stop preferring the endpoint: for these criteria only, or for every key
+  forget(endpointId, criteria) {
+    this.affinity?.forget(endpointId, criteria);
+  }
+
+  /**
+   * Pick one endpoint among the equal top scores using the configured strategy (random by default).
+   * With affinity, the endpoint that last served the affinity key wins while it is still among the
+   * matches (callers pass only registered endpoints with capacity), whatever its score. Serving is
+   * recorded with remember() once the endpoint has accepted, not here.
+   * @param {Array<string|Object>} matches - Endpoint ids or ranked candidates from rank()
+   * @param {Object} [context] - { criteria, load(endpointId), capabilities(endpointId) }
+   */
+  selectEndpoint(matches = [], context = {}) {
     if (!matches.length) return null;
-    // Prefer endpoints with more registered criteria (more specific), random among top
-    const scored = matches.map((endpointId) => {
-      const count = this.registry.get(endpointId)?.criteria?.length || 0;
-      return { endpointId, count };
-    });
-    const max = Math.max(...scored.map(s => s.count));
-    const top = scored.filter(s => s.count === max).map(s => s.endpointId);
-    return top[Math.floor(Math.random() * top.length)];
+    return this.preferred(matches, context.criteria || []) || this._select(matches, context);
   }
-}
 
+  _select(matches, context) {
+    const scored = matches.map(m => (typeof m === 'string' ? { endpointId: m, score: 0 } : m));
+    const max = Math.max(...scored.map(s => s.score));
+    const top = scored.filter(s => s.score === max).map(s => s.endpointId);
+    const ctx = {
+      criteria: [],
+      load: () => 0,
+      capabilities: (id) => this.registry.get(id)?.capabilities || {},
+      ...context
+    };
+    return this._strategyFor(ctx.criteria).select(top, ctx) ?? top[0];
+  }
+}
@@ -0,0 +1,93 @@
+// Endpoint selection among equally ranked candidates.
+// select(candidates, context) receives endpoint ids and a context with
+//   criteria: the connect criteria
+//   load(endpointId): number of active sessions of the endpoint
+//   capabilities(endpointId): capabilities advertised at register
+//   source: source_id of the connecting endpoint (if known)
+
+const pickRandom = (list) => list[Math.floor(Math.random() * list.length)];
+
+export class RandomStrategy {
+  select(candidates) {
+    return pickRandom(candidates);
+  }
+}
+
+export class LeastSessionsStrategy {
+  select(candidates, context) {
+    const loads = candidates.map(id => ({ id, load: context.load(id) }));
+    const min = Math.min(...loads.map(l => l.load));
+    return pickRandom(loads.filter(l => l.load === min).map(l => l.id));
+  }
+}
+
+// Smooth weighted round-robin over the `weight` capability (default 1)
+export class WeightedRoundRobinStrategy {
+  constructor() {
+    this.current = new Map(); // endpointId -> current weight
+  }
+
+  select(candidates, context) {
+    let total = 0;
+    let best = null;
+    for (const id of candidates) {
+      const weight = Math.max(0, Number(context.capabilities(id)?.weight ?? 1) || 0);
+      const cur = (this.current.get(id) || 0) + weight;
+      this.current.set(id, cur);
+      total += weight;
+      if (best === null || cur > this.current.get(best)) best = id;
+    }
+    this.current.set(best, this.current.get(best) - total);
+    return best;
+  }
+
+  forget(endpointId) {
+    this.current.delete(endpointId);
+  }
+}
+
+function fnv1a(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+// Rendezvous hashing on a criterion value (the `user` criterion by default, else the connecting
+// source_id), so the same key keeps landing on the same endpoint while the pool is stable
+export class ConsistentHashStrategy {
+  constructor(options = {}) {
+    this.criterion = options.criterion || 'user';
+  }
+
+  select(candidates, context) {
+    const c = (context.criteria || []).find(x => x.type === this.criterion);
+    if (!c && !context.source) return pickRandom(candidates);
+    const key = c ? JSON.stringify(c.value) : context.source;
+    let best = null;
+    let bestHash = -1;
+    for (const id of candidates) {
+      const h = fnv1a(`${key}|${id}`);
+      if (h > bestHash) { best = id; bestHash = h; }
+    }
+    return best;
+  }
+}
+
+export const SelectionStrategies = Object.freeze({
+  random: RandomStrategy,
+  'least-sessions': LeastSessionsStrategy,
+  'weighted-round-robin': WeightedRoundRobinStrategy,
+  'consistent-hash': ConsistentHashStrategy
+});
+
+// Accepts a strategy name, { name, ...options } or an object with a select() method
+export function createStrategy(spec = 'random') {
+  if (spec && typeof spec.select === 'function') return spec;
+  const { name, ...options } = typeof spec === 'string' ? { name: spec } : spec;
+  const Strategy = SelectionStrategies[name];
+  if (!Strategy) throw new Error(`Unknown selection strategy: ${name}`);
+  return new Strategy(options);
+}
@@ -0,0 +1,262 @@
+import { cidrRange, parseIpv4, parseIpv6 } from './Comparators.js';
+
+// Value indexes for the typed criteria whose built-in comparators are not plain equality.
+// candidates(value) returns a superset of the endpoints whose registered value can match the
+// requested one; MatchingEngine._score() still has the final say.
+
+const EMPTY = new Set();
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const list = (v) => (Array.isArray(v) ? v : [v]);
+
+export function addTo(index, key, endpointId) {
+  let set = index.get(key);
+  if (!set) index.set(key, set = new Set());
+  set.add(endpointId);
+}
+
+export function removeFrom(index, key, endpointId) {
+  const set = index.get(key);
+  if (!set) return;
+  set.delete(endpointId);
+  if (!set.size) index.delete(key);
+}
+
+// Candidate sets are combined as views rather than copied: a view has size (an upper bound),
+// has() and iteration, which is all MatchingEngine._candidates() uses.
+export function union(sets) {
+  const present = sets.filter(set => set?.size);
+  if (present.length <= 1) return present[0] || EMPTY;
+  return {
+    size: present.reduce((n, set) => n + set.size, 0),
+    has: (id) => present.some(set => set.has(id)),
+    * [Symbol.iterator]() {
+      for (let i = 0; i < present.length; i++) {
+        for (const id of present[i]) {
+          let seen = false;
+          for (let j = 0; j < i && !seen; j++) seen = present[j].has(id);
+          if (!seen) yield id;
+        }
+      }
+    }
+  };
+}
+
+function intersect(sets) {
+  if (sets.length === 1) return sets[0];
+  const [smallest, ...rest] = [...sets].sort((a, b) => a.size - b.size);
+  const has = (id) => rest.every(set => set.has(id));
+  return {
+    size: smallest.size,
+    has: (id) => smallest.has(id) && has(id),
+    * [Symbol.iterator]() { for (const id of smallest) if (has(id)) yield id; }
+  };
+}
+
+// Hierarchical areas: a request matches the areas above it and every area below it.
+// Geo objects are not indexed spatially; a geo request gets every endpoint that registered one.
+export class LocationIndex {
+  constructor() {
+    this.at = new Map(); // area -> endpoints registering exactly that area
+    this.under = new Map(); // area -> endpoints registering it or an area below it
+    this.geo = new Set();
+  }
+
+  _areas(value) {
+    const parts = value.toLowerCase().split('/').filter(Boolean);
+    return parts.map((_, i) => parts.slice(0, i + 1).join('/'));
+  }
+
+  _apply(id, value, add) {
+    for (const v of list(value)) {
+      if (isObject(v)) {
+        if (add) this.geo.add(id);
+        else this.geo.delete(id);
+        continue;
+      }
+      if (typeof v !== 'string') continue;
+      const areas = this._areas(v);
+      if (!areas.length) continue;
+      const update = add ? addTo : removeFrom;
+      update(this.at, areas[areas.length - 1], id);
+      for (const area of areas) update(this.under, area, id);
+    }
+  }
+
+  add(id, value) { this._apply(id, value, true); }
+
+  remove(id, value) { this._apply(id, value, false); }
+
+  candidates(value) {
+    const sets = [];
+    for (const v of list(value)) {
+      if (isObject(v)) sets.push(this.geo);
+      if (typeof v !== 'string') continue;
+      const areas = this._areas(v);
+      if (!areas.length) continue;
+      for (const area of areas.slice(0, -1)) sets.push(this.at.get(area));
+      sets.push(this.under.get(areas[areas.length - 1]));
+    }
+    return union(sets);
+  }
+}
+
+// Address ranges: a request matches the registered ranges containing it, found by walking its
+// prefixes, and the ranges inside it, taken from blocks kept every STEP prefix bits and filtered
+// down to the request.
+const STEP = 8;
+
+export class CidrIndex {
+  constructor(parse, bits) {
+    this.parse = parse;
+    this.bits = bits;
+    this.exact = new Map(); // prefix/network -> endpoints registering that range
+    this.within = new Map(); // block prefix/network -> endpoints registering a range inside the block
+    this.ranges = new Map(); // endpointId -> registered [first, last] ranges
+  }
+
+  _range(value) {
+    const range = cidrRange(value, this.parse, this.bits);
+    if (!range) return null;
+    const hostBits = range[0] === range[1] ? 0 : (range[1] - range[0]).toString(2).length;
+    return { first: range[0], last: range[1], prefix: this.bits - hostBits };
+  }
+
+  _key(prefix, address) {
+    const hostBits = BigInt(this.bits - prefix);
+    return `${prefix}/${((address >> hostBits) << hostBits).toString(16)}`;
+  }
+
+  _apply(id, value, update) {
+    for (const v of list(value)) {
+      const range = this._range(v);
+      if (!range) continue;
+      update(this.exact, this._key(range.prefix, range.first), id);
+      for (let level = 0; level <= range.prefix; level += STEP) update(this.within, this._key(level, range.first), id);
+      const ranges = (this.ranges.get(id) || []).filter(r => r.first !== range.first || r.last !== range.last);
+      if (update === addTo) ranges.push(range);
+      if (ranges.length) this.ranges.set(id, ranges);
+      else this.ranges.delete(id);
+    }
+  }
+
+  add(id, value) { this._apply(id, value, addTo); }
+
+  remove(id, value) { this._apply(id, value, removeFrom); }
+
+  candidates(value) {
+    const sets = [];
+    for (const v of list(value)) {
+      const range = this._range(v);
+      if (!range) continue;
+      for (let p = 0; p < range.prefix; p++) sets.push(this.exact.get(this._key(p, range.first)));
+      const level = Math.floor(range.prefix / STEP) * STEP;
+      const block = this.within.get(this._key(level, range.first));
+      if (!block || level === range.prefix) {
+        sets.push(block);
+        continue;
+      }
+      const inside = new Set();
+      for (const id of block) {
+        if (this.ranges.get(id).some(r => r.first >= range.first && r.last <= range.last)) inside.add(id);
+      }
+      sets.push(inside);
+    }
+    return union(sets);
+  }
+}
+
+// Numeric buckets: SUB per power of two, ordered like the numbers they hold
+const SUB = 64;
+const LAST = 2200 * SUB;
+
+function bucket(n) {
+  if (n === 0) return 0;
+  if (!Number.isFinite(n)) return n > 0 ? LAST : -LAST;
+  const abs = Math.abs(n);
+  const exp = Math.floor(Math.log2(abs));
+  const frac = Math.min(SUB - 1, Math.max(0, Math.floor((abs / 2 ** exp - 1) * SUB)));
+  const b = (exp + 1100) * SUB + frac + 1;
+  return n < 0 ? -b : b;
+}
+
+// QoS metrics: thresholds ({ min, max }) take the buckets they overlap, other requested
+// metric values and plain (non-object) qos values are looked up by equality
+export class QosIndex {
+  constructor() {
+    this.buckets = new Map(); // metric -> Map<bucket, Set<endpointId>>
+    this.bucketOf = new Map(); // metric -> Map<endpointId, buckets>
+    this.values = new Map(); // metric + JSON value -> endpoints
+    this.plain = new Map(); // JSON value -> endpoints registering a non-object qos
+    this.objects = new Set(); // endpoints registering metrics
+  }
+
+  _apply(id, value, add) {
+    const update = add ? addTo : removeFrom;
+    if (!isObject(value)) {
+      update(this.plain, JSON.stringify(value), id);
+      return;
+    }
+    if (add) this.objects.add(id);
+    else this.objects.delete(id);
+    for (const [metric, have] of Object.entries(value)) {
+      update(this.values, `${metric}\u0000${JSON.stringify(have)}`, id);
+      if (typeof have !== 'number' || Number.isNaN(have)) continue;
+      if (!this.buckets.has(metric)) this.buckets.set(metric, new Map());
+      if (!this.bucketOf.has(metric)) this.bucketOf.set(metric, new Map());
+      const byBucket = this.buckets.get(metric);
+      const byId = this.bucketOf.get(metric);
+      const b = bucket(have);
+      update(byBucket, b, id);
+      const held = (byId.get(id) || []).filter(x => x !== b);
+      if (add) held.push(b);
+      if (held.length) byId.set(id, held);
+      else byId.delete(id);
+      if (!byBucket.size) this.buckets.delete(metric);
+      if (!byId.size) this.bucketOf.delete(metric);
+    }
+  }
+
+  add(id, value) { this._apply(id, value, true); }
+
+  remove(id, value) { this._apply(id, value, false); }
+
+  // Endpoints with a value of the metric in buckets lo..hi, checked by bucket rather than set by set
+  _range(metric, lo, hi) {
+    const hits = [];
+    for (const [b, set] of this.buckets.get(metric) || []) if (b >= lo && b <= hi) hits.push(set);
+    if (hits.length <= 1) return hits[0] || EMPTY;
+    const byId = this.bucketOf.get(metric);
+    const inRange = (id) => !!byId.get(id)?.some(b => b >= lo && b <= hi);
+    return { ...union(hits), has: inRange };
+  }
+
+  candidates(value) {
+    if (!isObject(value)) return this.plain.get(JSON.stringify(value)) || EMPTY;
+    const sets = [];
+    for (const [metric, want] of Object.entries(value)) {
+      if (want === undefined) continue;
+      if (isObject(want) && ('min' in want || 'max' in want)) {
+        // Non-numeric bounds leave that side open
+        const lo = typeof want.min === 'number' ? bucket(want.min) : -Infinity;
+        const hi = typeof want.max === 'number' ? bucket(want.max) : Infinity;
+        sets.push(this._range(metric, lo, hi));
+      } else {
+        sets.push(this.values.get(`${metric}\u0000${JSON.stringify(want)}`) || EMPTY);
+      }
+    }
+    return sets.length ? intersect(sets) : this.objects;
+  }
+}
+
+const INDEXES = {
+  location: () => new LocationIndex(),
+  ipv4: () => new CidrIndex(parseIpv4, 32),
+  ipv6: () => new CidrIndex(parseIpv6, 128),
+  qos: () => new QosIndex()
+};
+
+export const INDEXED_TYPES = Object.freeze(Object.keys(INDEXES));
+
+export function createValueIndex(type) {
+  return INDEXES[type] ? INDEXES[type]() : null;
+}
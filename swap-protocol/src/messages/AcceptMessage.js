@@ -5,7 +5,14 @@ export class AcceptMessage extends SwapMessage {
   constructor(target, answer, init = {}) {
     super(MessageTypes.ACCEPT, init);
     this.target = target;
+    // message_id of the connect/update answered; lets the caller match a criteria connect
+    if (init.request !== undefined) this.request = init.request;
     this.answer = answer;
   }
+
+  // Without an answer it can only answer a close, which the receiver checks
+  validate(profile) {
+    return super.validate(profile, { answerless: this.answer === undefined });
+  }
 }
 
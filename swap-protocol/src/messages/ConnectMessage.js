@@ -5,7 +5,9 @@ export class ConnectMessage extends SwapMessage {
   constructor(offer, criteria = [], init = {}) {
     super(MessageTypes.CONNECT, init);
     this.offer = offer;
-    this.criteria = Array.isArray(criteria) ? criteria : [];
+    // A known target source_id is routed to directly (TS 26.113 § 13.2.4.7); criteria then become optional
+    if (init.target) this.target = init.target;
+    if (!init.target || (Array.isArray(criteria) && criteria.length)) this.criteria = Array.isArray(criteria) ? criteria : [];
   }
 }
 
@@ -1,4 +1,4 @@
-import { MessageTypes } from './MessageTypes.js';
+import { MessageTypes, normalizeMessageType } from './MessageTypes.js';
 import { RegisterMessage } from './RegisterMessage.js';
 import { ResponseMessage } from './ResponseMessage.js';
 import { ConnectMessage } from './ConnectMessage.js';
@@ -8,24 +8,27 @@ import { UpdateMessage } from './UpdateMessage.js';
 import { CloseMessage } from './CloseMessage.js';
 import { ApplicationMessage } from './ApplicationMessage.js';
 import { SwapMessage } from './SwapMessage.js';
+import { fromWire, toWire, WireProfiles } from './WireFormat.js';
 
 export class MessageFactory {
-  static fromObject(obj) {
-    if (!obj || typeof obj !== 'object') {
+  static fromObject(input) {
+    if (!input || typeof input !== 'object') {
       throw new Error('Invalid message object');
     }
+    // Accept both wire profiles; build the internal (legacy layout) message
+    const obj = fromWire(input);
     const common = { source_id: obj.source_id, message_id: obj.message_id };
-    switch (obj.message_type) {
+    switch (normalizeMessageType(obj.message_type)) {
       case MessageTypes.REGISTER:
-        return new RegisterMessage(obj.criteria, common);
+        return new RegisterMessage(obj.criteria, { ...common, capabilities: obj.capabilities });
       case MessageTypes.RESPONSE:
-        return new ResponseMessage(obj.response_to, obj.status, obj.reason, obj.error, common);
+        return new ResponseMessage(obj.response_to, obj.status, obj.reason, obj.error, { ...common, target: obj.target, expires: obj.expires, resume_token: obj.resume_token });
       case MessageTypes.CONNECT:
-        return new ConnectMessage(obj.offer, obj.criteria, common);
+        return new ConnectMessage(obj.offer, obj.criteria, { ...common, target: obj.target });
       case MessageTypes.ACCEPT:
-        return new AcceptMessage(obj.target, obj.answer, common);
+        return new AcceptMessage(obj.target, obj.answer, { ...common, request: obj.request });
       case MessageTypes.REJECT:
-        return new RejectMessage(obj.target, obj.reason, common);
+        return new RejectMessage(obj.target, obj.reason, { ...common, request: obj.request, error_id: obj.error_id });
       case MessageTypes.UPDATE:
         return new UpdateMessage(obj.target, obj.sdp, common);
       case MessageTypes.CLOSE:
@@ -38,6 +41,10 @@ export class MessageFactory {
     }
   }
 
+  static toWire(message, profile = WireProfiles.LEGACY) {
+    return toWire(message, profile);
+  }
+
   static fromJSON(json) {
     const obj = typeof json === 'string' ? JSON.parse(json) : json;
     return this.fromObject(obj);
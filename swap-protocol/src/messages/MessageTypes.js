@@ -9,3 +9,8 @@ export const MessageTypes = Object.freeze({
   APPLICATION: 'application'
 });
 
+
+// message_type is a case-insensitive string (TS 26.113 § 13.2.4.4.1.3)
+export function normalizeMessageType(type) {
+  return typeof type === 'string' ? type.toLowerCase() : type;
+}
@@ -5,7 +5,9 @@ export class RejectMessage extends SwapMessage {
   constructor(target, reason, init = {}) {
     super(MessageTypes.REJECT, init);
     this.target = target;
+    // request names the connect/update rejected; error_id is only carried by the ts26113 profile
+    if (init.request !== undefined) this.request = init.request;
+    if (init.error_id !== undefined) this.error_id = init.error_id;
     this.reason = reason;
   }
 }
-
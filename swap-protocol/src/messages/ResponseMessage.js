@@ -4,10 +4,12 @@ import { MessageTypes } from './MessageTypes.js';
 export class ResponseMessage extends SwapMessage {
   constructor(response_to, status, reason, error = null, init = {}) {
     super(MessageTypes.RESPONSE, init);
+    if (init.target) this.target = init.target; // originator of the request (ts26113 profile)
     this.response_to = response_to;
     this.status = status;
     this.reason = reason;
     if (error) this.error = error;
+    if (init.expires !== undefined) this.expires = init.expires; // granted registration lifetime (seconds)
+    if (init.resume_token) this.resume_token = init.resume_token; // proof for resuming after a reconnect
   }
 }
-
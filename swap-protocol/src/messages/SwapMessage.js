@@ -3,6 +3,7 @@ import { validateMessageShape } from '../utils/Validator.js';
 import { KeyDerivation } from '../security/KeyDerivation.js';
 import { IntegrityProtection } from '../security/IntegrityProtection.js';
 import { Encryption } from '../security/Encryption.js';
+import { toWire, WireProfiles } from './WireFormat.js';
 
 export class SwapMessage {
   constructor(messageType, init = {}) {
@@ -15,8 +16,8 @@ export class SwapMessage {
     this.message_type = messageType;
   }
 
-  validate() {
-    const { valid, errors } = validateMessageShape(this);
+  validate(profile = WireProfiles.LEGACY, options = {}) {
+    const { valid, errors } = validateMessageShape(this.toWire(profile), { ...options, profile });
     if (!valid) {
       const err = new Error('Message validation failed');
       err.errors = errors;
@@ -25,9 +26,14 @@ export class SwapMessage {
     return true;
   }
 
-  serialize() {
-    this.validate();
-    return JSON.stringify(this);
+  // Plain object in the field layout of the given wire profile ('legacy' or 'ts26113')
+  toWire(profile = WireProfiles.LEGACY) {
+    return toWire(this, profile);
+  }
+
+  serialize(profile = WireProfiles.LEGACY) {
+    this.validate(profile);
+    return JSON.stringify(this.toWire(profile));
   }
 
   static parse(json) {
@@ -0,0 +1,94 @@
+import { MessageTypes, normalizeMessageType } from './MessageTypes.js';
+
+// Wire profiles: 'legacy' is this library's original field layout, 'ts26113' follows
+// the field names of TS 26.113 § 13.2.4.4 (matching_criteria, request, description, ...).
+// Messages are always handled internally in the legacy layout and converted at the edge.
+export const WireProfiles = Object.freeze({
+  LEGACY: 'legacy',
+  TS26113: 'ts26113'
+});
+
+export function detectProfile(obj) {
+  if (!obj || typeof obj !== 'object') return null;
+  const mt = normalizeMessageType(obj.message_type);
+  if ('matching_criteria' in obj) return WireProfiles.TS26113;
+  if ('criteria' in obj) return WireProfiles.LEGACY;
+  if (mt === MessageTypes.RESPONSE) {
+    if ('response_to' in obj) return WireProfiles.LEGACY;
+    if ('request' in obj) return WireProfiles.TS26113;
+  }
+  if (mt === MessageTypes.REJECT) {
+    if ('reason' in obj) return WireProfiles.LEGACY;
+    if ('description' in obj || 'error_id' in obj) return WireProfiles.TS26113;
+  }
+  return null;
+}
+
+// Convert an internal (legacy layout) message into a plain object for the given profile
+export function toWire(message, profile = WireProfiles.LEGACY) {
+  const out = { ...message };
+  if (profile !== WireProfiles.TS26113) {
+    if (out.message_type === MessageTypes.RESPONSE) delete out.target;
+    if (out.message_type === MessageTypes.REJECT) delete out.error_id;
+    return out;
+  }
+  switch (out.message_type) {
+    case MessageTypes.REGISTER:
+    case MessageTypes.CONNECT: {
+      if ('criteria' in out) {
+        out.matching_criteria = out.criteria;
+        delete out.criteria;
+      }
+      break;
+    }
+    case MessageTypes.RESPONSE: {
+      const { response_to, status, reason, error, ...rest } = out;
+      const ok = status >= 200 && status < 300;
+      const wire = { ...rest, type: ok ? 'ack' : 'error', request: response_to };
+      const description = ok ? (reason && reason !== 'OK' ? reason : undefined) : (error?.detail || reason);
+      if (description) wire.description = description;
+      if (error) wire.problem = error;
+      return wire;
+    }
+    case MessageTypes.REJECT: {
+      if ('reason' in out) {
+        out.description = out.reason;
+        delete out.reason;
+      }
+      break;
+    }
+    default:
+      break;
+  }
+  return out;
+}
+
+// Convert a received message in either profile into the internal (legacy) layout
+export function fromWire(obj) {
+  if (!obj || typeof obj !== 'object' || detectProfile(obj) !== WireProfiles.TS26113) return obj;
+  const out = { ...obj, message_type: normalizeMessageType(obj.message_type) };
+  switch (out.message_type) {
+    case MessageTypes.REGISTER:
+    case MessageTypes.CONNECT: {
+      out.criteria = out.matching_criteria;
+      delete out.matching_criteria;
+      break;
+    }
+    case MessageTypes.RESPONSE: {
+      const { type, request, description, problem, ...rest } = out;
+      const ok = type === 'ack';
+      const status = ok ? 200 : (problem?.status || 400);
+      const res = { ...rest, response_to: request, status, reason: ok ? (description || 'OK') : (description || problem?.title || 'Error') };
+      if (!ok) res.error = problem || { title: 'Error', detail: description, status };
+      return res;
+    }
+    case MessageTypes.REJECT: {
+      out.reason = out.description;
+      delete out.description;
+      break;
+    }
+    default:
+      break;
+  }
+  return out;
+}
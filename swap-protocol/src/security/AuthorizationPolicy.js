@@ -0,0 +1,104 @@
+import fs from 'fs';
+
+// Glob match for string values ('acme-*'); other values compare by JSON equality
+function matchValue(pattern, value) {
+  if (typeof pattern === 'string' && typeof value === 'string') {
+    if (!pattern.includes('*')) return pattern === value;
+    const re = new RegExp(`^${pattern.split('*').map(p => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+    return re.test(value);
+  }
+  return JSON.stringify(pattern) === JSON.stringify(value);
+}
+
+function matchCriterion(pattern, criterion) {
+  return pattern.type === criterion.type && (pattern.value === undefined || matchValue(pattern.value, criterion.value));
+}
+
+/**
+ * Criteria-scoped authorization rules evaluated against an authenticated identity.
+ *
+ * Policy document:
+ * {
+ *   "default": "allow" | "deny",
+ *   "rules": [{
+ *     "id": "acme-tenant-register",
+ *     "action": "register" | "connect" | "*",
+ *     "when": { "tenant": "acme" },                          // identity claims (glob values); omitted = everyone
+ *     "allow": [{ "type": "service", "value": "acme-*" }],   // criteria of these types must match one pattern
+ *     "require": [{ "type": "location", "value": "eu" }],    // each pattern must be present in the criteria
+ *     "deny": [{ "type": "service", "value": "admin-*" }],   // no criterion may match these
+ *     "unregistered": "allow"                                // connect: may reach direct targets that never registered
+ *   }]
+ * }
+ */
+export class AuthorizationPolicy {
+  constructor(policy = {}) {
+    this.defaultEffect = policy.default === 'deny' ? 'deny' : 'allow';
+    this.rules = (policy.rules || []).map((rule, i) => ({ id: rule.id || `rule-${i + 1}`, action: '*', ...rule }));
+  }
+
+  static fromFile(path) {
+    return new AuthorizationPolicy(JSON.parse(fs.readFileSync(path, 'utf8')));
+  }
+
+  // Accepts an AuthorizationPolicy, a policy document or a path to a JSON policy file
+  static from(source) {
+    if (source instanceof AuthorizationPolicy) return source;
+    if (typeof source === 'string') return AuthorizationPolicy.fromFile(source);
+    return new AuthorizationPolicy(source);
+  }
+
+  _applies(rule, action, identity) {
+    if (rule.action !== '*' && rule.action !== action) return false;
+    for (const [claim, pattern] of Object.entries(rule.when || {})) {
+      const actual = identity?.claims?.[claim] ?? identity?.[claim];
+      const values = Array.isArray(actual) ? actual : [actual];
+      if (!values.some(v => v !== undefined && matchValue(pattern, v))) return false;
+    }
+    return true;
+  }
+
+  _violates(rule, criteria) {
+    if (rule.allow) {
+      const restricted = new Set(rule.allow.map(p => p.type));
+      const bad = criteria.find(c => restricted.has(c.type) && !rule.allow.some(p => matchCriterion(p, c)));
+      if (bad) return `${bad.type}=${JSON.stringify(bad.value)} is not allowed`;
+    }
+    for (const pattern of rule.require || []) {
+      if (!criteria.some(c => matchCriterion(pattern, c))) return `${pattern.type}=${JSON.stringify(pattern.value)} is required`;
+    }
+    const denied = criteria.find(c => (rule.deny || []).some(p => matchCriterion(p, c)));
+    if (denied) return `${denied.type}=${JSON.stringify(denied.value)} is denied`;
+    return null;
+  }
+
+  /**
+   * @param {string} action - 'register' or 'connect'
+   * @param {Object|null} identity - Connection identity from authentication
+   * @param {Array} criteria - Criteria of the message
+   * @returns {{ allowed: boolean, rule?: string, reason?: string }}
+   */
+  evaluate(action, identity, criteria = []) {
+    let applied = false;
+    for (const rule of this.rules) {
+      if (!this._applies(rule, action, identity)) continue;
+      applied = true;
+      const reason = this._violates(rule, criteria || []);
+      if (reason) return { allowed: false, rule: rule.id, reason };
+    }
+    if (!applied && this.defaultEffect === 'deny') return { allowed: false, rule: 'default', reason: 'no rule grants this request' };
+    return { allowed: true };
+  }
+
+  /**
+   * A direct connect to an endpoint that never registered has no criteria to check, so it is
+   * refused unless a connect rule applying to the identity sets `unregistered: "allow"`.
+   * @param {Object|null} identity - Connection identity from authentication
+   * @returns {{ allowed: boolean, rule?: string, reason?: string }}
+   */
+  evaluateUnregistered(identity) {
+    const rule = this.rules.find(r => r.unregistered === 'allow' && this._applies(r, 'connect', identity));
+    if (rule) return { allowed: true, rule: rule.id };
+    return { allowed: false, rule: 'unregistered', reason: 'target has not registered' };
+  }
+}
@@ -0,0 +1,111 @@
+import { base64ToBytes, base64UrlToBytes } from '../utils/base64.js';
+
+const Algorithms = {
+  HS256: { name: 'HMAC', hash: 'SHA-256' },
+  RS256: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }
+};
+
+function decodeSegment(segment) {
+  return JSON.parse(new TextDecoder().decode(base64UrlToBytes(segment)));
+}
+
+function pemToDer(pem) {
+  const body = pem.replace(/-----(BEGIN|END) [^-]+-----/g, '').replace(/\s+/g, '');
+  return base64ToBytes(body);
+}
+
+/**
+ * Offline verifier for compact JWS tokens signed with HS256 (shared secret)
+ * or RS256 (SPKI PEM or JWK public key), using the WebCrypto API.
+ */
+export class JwtVerifier {
+  /**
+   * @param {Object} options
+   * @param {string} [options.secret] - HS256 shared secret
+   * @param {string|Object} [options.publicKey] - RS256 public key (SPKI PEM string or JWK)
+   * @param {string[]} [options.algorithms] - Accepted algorithms (defaults to those a key is configured for)
+   * @param {string} [options.issuer] - Required `iss` claim
+   * @param {string} [options.audience] - Required `aud` claim (string or member of the array)
+   * @param {number} [options.clockTolerance] - Allowed clock skew in seconds for exp/nbf
+   */
+  constructor(options = {}) {
+    this.options = { clockTolerance: 0, ...options };
+    this.algorithms = options.algorithms || [
+      ...(options.secret ? ['HS256'] : []),
+      ...(options.publicKey ? ['RS256'] : [])
+    ];
+    if (!this.algorithms.length) throw new Error('JwtVerifier: secret or publicKey required');
+    this._keys = {};
+  }
+
+  async _key(alg) {
+    if (this._keys[alg]) return this._keys[alg];
+    const params = Algorithms[alg];
+    if (alg === 'HS256') {
+      if (!this.options.secret) throw new Error('JwtVerifier: no secret for HS256');
+      this._keys[alg] = await crypto.subtle.importKey('raw', new TextEncoder().encode(this.options.secret), params, false, ['verify']);
+    } else {
+      const key = this.options.publicKey;
+      if (!key) throw new Error('JwtVerifier: no public key for RS256');
+      this._keys[alg] = typeof key === 'string'
+        ? await crypto.subtle.importKey('spki', pemToDer(key), params, false, ['verify'])
+        : await crypto.subtle.importKey('jwk', key, params, false, ['verify']);
+    }
+    return this._keys[alg];
+  }
+
+  /**
+   * Verify signature and registered claims.
+   * @param {string} token - Compact JWS
+   * @returns {Promise<Object>} The token claims
+   */
+  async verify(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) throw new Error('JwtVerifier: malformed token');
+    const [h, p, s] = parts;
+    const header = decodeSegment(h);
+    if (!this.algorithms.includes(header.alg) || !Algorithms[header.alg]) {
+      throw new Error(`JwtVerifier: algorithm ${header.alg} not allowed`);
+    }
+    const key = await this._key(header.alg);
+    const ok = await crypto.subtle.verify(Algorithms[header.alg], key, base64UrlToBytes(s), new TextEncoder().encode(`${h}.${p}`));
+    if (!ok) throw new Error('JwtVerifier: invalid signature');
+
+    const claims = decodeSegment(p);
+    const now = Math.floor(Date.now() / 1000);
+    const skew = this.options.clockTolerance;
+    if (typeof claims.exp === 'number' && now > claims.exp + skew) throw new Error('JwtVerifier: token expired');
+    if (typeof claims.nbf === 'number' && now + skew < claims.nbf) throw new Error('JwtVerifier: token not yet valid');
+    if (this.options.issuer && claims.iss !== this.options.issuer) throw new Error('JwtVerifier: issuer mismatch');
+    if (this.options.audience) {
+      const aud = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+      if (!aud.includes(this.options.audience)) throw new Error('JwtVerifier: audience mismatch');
+    }
+    return claims;
+  }
+
+  /**
+   * Bearer token of an HTTP upgrade request: `access_token` query parameter
+   * or `Authorization: Bearer <token>` header.
+   */
+  static extractToken(request) {
+    const auth = request?.headers?.authorization;
+    if (typeof auth === 'string' && /^Bearer\s+/i.test(auth)) return auth.replace(/^Bearer\s+/i, '').trim();
+    const url = new URL(request?.url || '/', 'http://localhost');
+    return url.searchParams.get('access_token');
+  }
+
+  /**
+   * Build a SwapServer `authenticate(request)` hook from verifier options.
+   * Resolves to `{ subject, claims, expiresAt }`, or null when no valid token is present.
+   */
+  static authenticator(options = {}) {
+    const verifier = new JwtVerifier(options);
+    return async (request) => {
+      const token = JwtVerifier.extractToken(request);
+      if (!token) return null;
+      const claims = await verifier.verify(token);
+      return { subject: claims.sub, claims, expiresAt: typeof claims.exp === 'number' ? claims.exp * 1000 : null };
+    };
+  }
+}
@@ -0,0 +1,45 @@
+import { StateMachine } from './StateMachine.js';
+
+// Per-session state tracked by the SWAP server (TS 26.113 § 13.2.4.3).
+// Events are named after the message that triggers them.
+export const SessionStates = Object.freeze({
+  IDLE: 'idle',
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  UPDATING: 'updating',
+  CLOSING: 'closing'
+});
+
+const SessionTransitions = {
+  [SessionStates.IDLE]: {
+    connect: SessionStates.CONNECTING
+  },
+  [SessionStates.CONNECTING]: {
+    accept: SessionStates.CONNECTED,
+    reject: SessionStates.IDLE,
+    close: SessionStates.CLOSING,
+    application: SessionStates.CONNECTING
+  },
+  [SessionStates.CONNECTED]: {
+    update: SessionStates.UPDATING,
+    close: SessionStates.CLOSING,
+    application: SessionStates.CONNECTED
+  },
+  [SessionStates.UPDATING]: {
+    accept: SessionStates.CONNECTED,
+    reject: SessionStates.CONNECTED,
+    close: SessionStates.CLOSING,
+    application: SessionStates.UPDATING
+  },
+  [SessionStates.CLOSING]: {
+    accept: SessionStates.IDLE,
+    close: SessionStates.IDLE,
+    closed: SessionStates.IDLE
+  }
+};
+
+export class SessionStateMachine extends StateMachine {
+  constructor(initial = SessionStates.IDLE) {
+    super(initial, SessionTransitions);
+  }
+}
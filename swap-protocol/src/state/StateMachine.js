@@ -24,8 +24,13 @@ const Transitions = {
 };
 
 export class StateMachine {
-  constructor(initial = States.IDLE) {
+  constructor(initial = States.IDLE, transitions = Transitions) {
     this.state = initial;
+    this.transitions = transitions;
+  }
+
+  can(event) {
+    return !!(this.transitions[this.state] || {})[event];
   }
 
   canSend(messageType) {
@@ -44,7 +49,7 @@ export class StateMachine {
   }
 
   apply(event) {
-    const map = Transitions[this.state] || {};
+    const map = this.transitions[this.state] || {};
     const next = map[event];
     if (next) this.state = next;
     return this.state;
@@ -15,6 +15,10 @@ export class MessageQueue {
     return this._queue.length === 0;
   }
 
+  clear() {
+    this._queue = [];
+  }
+
   size() {
     return this._queue.length;
   }
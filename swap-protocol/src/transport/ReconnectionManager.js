@@ -7,11 +7,17 @@ export class ReconnectionManager {
     this.maxDelay = cfg?.maxDelay ?? 30000;
     this.backoffMultiplier = cfg?.backoffMultiplier ?? 2;
     this.attempts = 0;
+    this.delay = 0; // delay of the last scheduled attempt
     this._timer = null;
   }
 
   reset() {
     this.attempts = 0;
+    this.cancel();
+  }
+
+  // Drop a scheduled attempt without forgetting how many were made
+  cancel() {
     if (this._timer) {
       clearTimeout(this._timer);
       this._timer = null;
@@ -26,6 +32,7 @@ export class ReconnectionManager {
       this.maxDelay
     );
     this.attempts += 1;
+    this.delay = delay;
     this._timer = setTimeout(() => {
       this._timer = null;
       task();
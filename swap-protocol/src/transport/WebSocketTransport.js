@@ -10,7 +10,9 @@ export function buildSwapUri(options) {
   const defaultPort = scheme === 'ws' ? 80 : 443;
   const port = options.port ?? defaultPort;
   const basePath = prefix ? `/${prefix.replace(/^\/+|\/+$/g, '')}` : '';
-  return `${scheme}://${host}:${port}${basePath}/3gpp-swap/v1`;
+  // Browsers cannot set upgrade headers, so a bearer token travels as a query parameter
+  const query = options.accessToken ? `?access_token=${encodeURIComponent(options.accessToken)}` : '';
+  return `${scheme}://${host}:${port}${basePath}/3gpp-swap/v1${query}`;
 }
 
 export class WebSocketTransport extends Emitter {
@@ -24,22 +26,31 @@ export class WebSocketTransport extends Emitter {
     this.reconnect = new ReconnectionManager(options.reconnect || options);
     this.logger = options.logger || defaultLogger;
     this._manuallyClosed = false;
+    this._dropped = false; // set when the socket closed unexpectedly, until the next open
   }
 
   async connect() {
     this._manuallyClosed = false;
+    // A manual connect supersedes a scheduled retry
+    this.reconnect.cancel();
     const WS = await this._getWebSocketCtor();
     return new Promise((resolve, reject) => {
-      this.logger.info('Connecting', this.uri);
+      this.logger.info('Connecting', this.uri.split('?')[0]);
       const ws = new WS(this.uri, this.protocol);
       this.ws = ws;
+      let opened = false;
 
       const onOpen = () => {
+        opened = true;
+        clearTimeout(t);
         this.logger.info('Connected');
         this.reconnect.reset();
         try { this.queue.flush((m) => this._sendNow(m)); } catch (e) { /* ignore flush failures */ }
         this.emit('open');
-        cleanup();
+        if (this._dropped) {
+          this._dropped = false;
+          this.emit('reconnected');
+        }
         resolve();
       };
       const onError = (err) => {
@@ -47,10 +58,15 @@ export class WebSocketTransport extends Emitter {
         this.emit('error', err);
       };
       const onClose = () => {
+        clearTimeout(t);
+        // A socket replaced by a newer connect() no longer speaks for the transport
+        if (this.ws && this.ws !== ws) return;
         this.logger.warn('WS closed');
-        this.emit('close');
         this.ws = null;
+        if (!opened) reject(new Error('Connection closed'));
+        this.emit('close');
         if (!this._manuallyClosed) {
+          this._dropped = true;
           this._scheduleReconnect();
         }
       };
@@ -64,27 +80,19 @@ export class WebSocketTransport extends Emitter {
         }
       };
 
-      const cleanup = () => {
-        ws.removeEventListener?.('open', onOpen);
-        ws.removeEventListener?.('error', onError);
-        ws.removeEventListener?.('close', onClose);
-        ws.removeEventListener?.('message', onMessage);
-        // Node ws API
-        ws.off?.('open', onOpen);
-        ws.off?.('error', onError);
-        ws.off?.('close', onClose);
-        ws.off?.('message', onMessage);
-      };
-
-      // Attach handlers for browser and node
-      ws.addEventListener?.('open', onOpen);
-      ws.addEventListener?.('error', onError);
-      ws.addEventListener?.('close', onClose);
-      ws.addEventListener?.('message', onMessage);
-      ws.on?.('open', onOpen);
-      ws.on?.('error', onError);
-      ws.on?.('close', onClose);
-      ws.on?.('message', (data) => onMessage({ data }));
+      // The ws package delivers every event through both its EventEmitter and EventTarget APIs,
+      // so attach through one of them only; handlers stay attached for the socket's lifetime
+      if (typeof ws.on === 'function') {
+        ws.on('open', onOpen);
+        ws.on('error', onError);
+        ws.on('close', onClose);
+        ws.on('message', (data) => onMessage({ data }));
+      } else {
+        ws.addEventListener('open', onOpen);
+        ws.addEventListener('error', onError);
+        ws.addEventListener('close', onClose);
+        ws.addEventListener('message', onMessage);
+      }
 
       // Fail connect if not open within timeout
       const timeoutMs = this.options?.timeout?.connection ?? 10000;
@@ -92,18 +100,18 @@ export class WebSocketTransport extends Emitter {
         try { ws.close(); } catch {}
         reject(new Error('Connection timeout'));
       }, timeoutMs);
-      ws.once?.('open', () => clearTimeout(t));
-      ws.addEventListener?.('open', () => clearTimeout(t));
     });
   }
 
   _scheduleReconnect() {
     if (!this.reconnect.enabled) return;
-    this.reconnect.scheduleReconnect(() => {
+    const scheduled = this.reconnect.scheduleReconnect(() => {
       if (!this._manuallyClosed) {
         this.connect().catch((e) => this.logger.warn('Reconnect failed', e?.message || e));
       }
     });
+    if (scheduled) this.emit('reconnecting', { attempt: this.reconnect.attempts, delay: this.reconnect.delay });
+    else this.emit('reconnect_failed', { attempts: this.reconnect.attempts });
   }
 
   async _getWebSocketCtor() {
@@ -145,6 +153,8 @@ export class WebSocketTransport extends Emitter {
 
   close(code, reason) {
     this._manuallyClosed = true;
+    this._dropped = false;
+    this.reconnect.cancel();
     try { this.ws?.close(code, reason); } catch {}
     this.ws = null;
   }
@@ -1,5 +1,6 @@
 import Ajv from 'ajv';
-import { MessageTypes } from '../messages/MessageTypes.js';
+import { MessageTypes, normalizeMessageType } from '../messages/MessageTypes.js';
+import { WireProfiles, detectProfile } from '../messages/WireFormat.js';
 
 const ajv = new Ajv({ allErrors: true, strict: false });
 
@@ -71,10 +72,12 @@ const schemas = {
       ...baseFields,
       offer: { type: 'string', minLength: 1 },
       criteria: { type: 'array', items: criteriaItem },
+      target: { type: 'string', minLength: 10 },
       security: { type: 'object', nullable: true }
     },
     anyOf: [
       { required: ['offer', 'criteria'] },
+      { required: ['offer', 'target'] },
       { required: ['security'] }
     ]
   },
@@ -85,6 +88,7 @@ const schemas = {
     properties: {
       ...baseFields,
       target: { type: 'string', minLength: 10 },
+      request: { type: 'integer', minimum: 0 },
       answer: { type: 'string', minLength: 1 },
       security: { type: 'object', nullable: true }
     },
@@ -100,6 +104,7 @@ const schemas = {
     properties: {
       ...baseFields,
       target: { type: 'string', minLength: 10 },
+      request: { type: 'integer', minimum: 0 },
       reason: { type: 'string', minLength: 1 },
       security: { type: 'object', nullable: true }
     },
@@ -155,19 +160,100 @@ const schemas = {
   }
 };
 
-const validators = Object.fromEntries(
-  Object.entries(schemas).map(([k, schema]) => [k, ajv.compile(schema)])
+// TS 26.113 field layout: matching_criteria, and request/description based Response and Reject
+const renameCriteria = (schema) => {
+  const { criteria, ...properties } = schema.properties;
+  return {
+    ...schema,
+    properties: { ...properties, matching_criteria: criteria },
+    anyOf: schema.anyOf.map(({ required }) => ({ required: required.map(f => (f === 'criteria' ? 'matching_criteria' : f)) }))
+  };
+};
+
+const ts26113Schemas = {
+  ...schemas,
+  [MessageTypes.REGISTER]: renameCriteria(schemas[MessageTypes.REGISTER]),
+  [MessageTypes.CONNECT]: renameCriteria(schemas[MessageTypes.CONNECT]),
+  [MessageTypes.RESPONSE]: {
+    type: 'object',
+    required: ['version', 'source_id', 'message_id', 'message_type', 'type', 'request'],
+    additionalProperties: true,
+    properties: {
+      ...baseFields,
+      type: { type: 'string', enum: ['ack', 'error'] },
+      target: { type: 'string' },
+      request: { type: 'integer', minimum: 0 },
+      description: { type: 'string' },
+      problem: { type: 'object', nullable: true },
+      security: { type: 'object', nullable: true }
+    },
+    if: { properties: { type: { const: 'error' } } },
+    then: { required: ['description'] }
+  },
+  [MessageTypes.REJECT]: {
+    type: 'object',
+    required: ['version', 'source_id', 'message_id', 'message_type'],
+    additionalProperties: false,
+    properties: {
+      ...baseFields,
+      target: { type: 'string', minLength: 10 },
+      request: { type: 'integer', minimum: 0 },
+      error_id: { type: 'string' },
+      description: { type: 'string', minLength: 1 },
+      security: { type: 'object', nullable: true }
+    },
+    anyOf: [
+      { required: ['target', 'request', 'description'] },
+      { required: ['security'] }
+    ]
+  }
+};
+
+const schemasByProfile = {
+  [WireProfiles.LEGACY]: schemas,
+  [WireProfiles.TS26113]: ts26113Schemas
+};
+
+const compile = (set) => Object.fromEntries(
+  Object.entries(set).map(([k, schema]) => [k, ajv.compile(schema)])
 );
 
-export function validateMessageShape(message) {
-  if (!message || typeof message !== 'object') return { valid: false, errors: ['Invalid message object'] };
+// An accept answering a close carries no SDP (TS 26.113 § 13.2.4.4.8). Only checked with
+// options.answerless; the receiver must then make sure the session is closing.
+const validateAnswerless = ajv.compile({
+  ...schemas[MessageTypes.ACCEPT],
+  anyOf: [{ required: ['target'] }, { required: ['security'] }]
+});
+
+const validatorsByProfile = {
+  [WireProfiles.LEGACY]: compile(schemas),
+  [WireProfiles.TS26113]: compile(ts26113Schemas)
+};
+
+// options.profile selects the wire profile; by default it is detected from the message fields.
+// options.answerless lets an accept leave out its answer, flagged as `answerless` in the result.
+// `unknown` is set when message_type is a string that names no SWAP message.
+export function validateMessageShape(input, options = {}) {
+  if (!input || typeof input !== 'object') return { valid: false, errors: ['Invalid message object'] };
+  const message = typeof input.message_type === 'string'
+    ? { ...input, message_type: normalizeMessageType(input.message_type) }
+    : input;
+  const profile = options.profile || detectProfile(message) || WireProfiles.LEGACY;
+  const validators = validatorsByProfile[profile];
+  if (!validators) return { valid: false, errors: [`Unknown wire profile: ${profile}`] };
   const mt = message.message_type;
   const validator = validators[mt];
-  if (!validator) return { valid: false, errors: [`Unknown message type: ${mt}`] };
+  if (!validator) {
+    return { valid: false, unknown: typeof mt === 'string', errors: [`Unknown message type: ${mt}`] };
+  }
+  if (options.answerless && mt === MessageTypes.ACCEPT && message.answer === undefined) {
+    const valid = validateAnswerless(message);
+    return { valid, answerless: valid, errors: valid ? [] : validateAnswerless.errors };
+  }
   const valid = validator(message);
   return { valid, errors: valid ? [] : validator.errors };
 }
 
-export function getSchemaFor(type) {
-  return schemas[type];
+export function getSchemaFor(type, profile = WireProfiles.LEGACY) {
+  return schemasByProfile[profile]?.[type];
 }
@@ -17,3 +17,8 @@ export function base64ToBytes(b64) {
   return out;
 }
 
+
+export function base64UrlToBytes(b64url) {
+  const b64 = b64url.replace(/-/g, '+').replace(/_/g, '/');
+  return base64ToBytes(b64 + '='.repeat((4 - (b64.length % 4)) % 4));
+}
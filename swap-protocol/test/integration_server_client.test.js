@@ -1,15 +1,28 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
 
-import { SwapServer, SwapClient, CriteriaBuilder } from '../src/index.node.js';
+import { createHmac } from 'node:crypto';
+import { writeFileSync, mkdtempSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import WebSocket from 'ws';
+
+import { SwapServer, SwapPeerListener, SwapClient, CriteriaBuilder, RegisterMessage, AcceptMessage, PresenceSubscription } from '../src/index.node.js';
+
+// A connected SwapClient for the server on port; options override the defaults below
+async function connectClient(port, options = {}) {
+  const client = new SwapClient({ host: '127.0.0.1', port, secure: false, timeout: { response: 2000 }, reconnect: { enabled: false }, ...options });
+  await client.connect();
+  return client;
+}
 
 test('SwapServer + two SwapClient can connect and accept', async (t) => {
   const server = new SwapServer({ port: 0, host: '127.0.0.1' });
   const port = await server.start();
   console.log('Server started on', port);
 
-  const clientA = new SwapClient({ host: '127.0.0.1', port, secure: false, timeout: { response: 2000 } });
-  const clientB = new SwapClient({ host: '127.0.0.1', port, secure: false, timeout: { response: 2000 } });
+  const clientA = new SwapClient({ host: '127.0.0.1', port, secure: false, timeout: { response: 2000 }, reconnect: { enabled: false } });
+  const clientB = new SwapClient({ host: '127.0.0.1', port, secure: false, timeout: { response: 2000 }, reconnect: { enabled: false } });
 
   await clientA.connect();
   await clientB.connect();
@@ -37,3 +50,937 @@ test('SwapServer + two SwapClient can connect and accept', async (t) => {
 
   await server.stop();
 });
+
+test('SwapServer rejects messages that are out of session state', async () => {
+  const server = new SwapServer({ port: 0, host: '127.0.0.1' });
+  const port = await server.start();
+
+  const clientA = new SwapClient({ host: '127.0.0.1', port, secure: false, timeout: { response: 2000 }, reconnect: { enabled: false } });
+  const clientB = new SwapClient({ host: '127.0.0.1', port, secure: false, timeout: { response: 2000 }, reconnect: { enabled: false } });
+  await clientA.connect();
+  await clientB.connect();
+  await clientB.register(new CriteriaBuilder().withService('state').build());
+
+  // update before any connect/accept
+  await assert.rejects(
+    () => clientA.update(clientB.sourceId, 'v=0...update'),
+    (err) => err.problem.type.endsWith('message_unexpected.html') && err.status === 409
+  );
+  // accept with no pending connect
+  await assert.rejects(
+    () => clientB.accept(clientA.sourceId, 'v=0...answer'),
+    (err) => err.problem.type.endsWith('message_unexpected.html')
+  );
+
+  await server.stop();
+});
+
+test('SwapServer exposes session state through session events', async () => {
+  const server = new SwapServer({ port: 0, host: '127.0.0.1', closeTimeout: 50 });
+  const port = await server.start();
+
+  const clientA = new SwapClient({ host: '127.0.0.1', port, secure: false, timeout: { response: 2000 }, reconnect: { enabled: false } });
+  const clientB = new SwapClient({ host: '127.0.0.1', port, secure: false, timeout: { response: 2000 }, reconnect: { enabled: false } });
+  await clientA.connect();
+  await clientB.connect();
+  await clientB.register(new CriteriaBuilder().withService('events').build());
+
+  const created = new Promise((resolve) => server.once('session_created', (a, b, session) => resolve({ a, b, state: session.state })));
+  let release;
+  const held = new Promise((resolve) => { release = resolve; });
+  clientB.once('connect', async (offer, source) => { await held; await clientB.accept(source, 'v=0...answer'); });
+  const answered = new Promise((resolve) => clientA.once('accept', resolve));
+  await clientA.connectOffer('v=0...offer', new CriteriaBuilder().withService('events').build());
+  assert.equal(server.sessions.get(clientA.sourceId, clientB.sourceId).state, 'connecting');
+  release();
+
+  const c = await created;
+  await answered;
+  assert.deepEqual(c, { a: clientB.sourceId, b: clientA.sourceId, state: 'connected' });
+
+  const closed = new Promise((resolve) => server.once('session_closed', (by, other, session) => resolve({ by, other, state: session.state })));
+  // B answers the close with an accept, so A's close() resolves once the session is gone
+  assert.deepEqual(await clientA.close(clientB.sourceId), { reason: 'closed', initiator: 'local' });
+  assert.deepEqual(await closed, { by: clientA.sourceId, other: clientB.sourceId, state: 'idle' });
+  assert.equal(server.activeSessions.size, 0);
+
+  await server.stop();
+});
+
+test('SwapServer binds the first source_id to its WebSocket', async () => {
+  const server = new SwapServer({ port: 0, host: '127.0.0.1' });
+  const port = await server.start();
+  const open = () => new Promise((resolve, reject) => {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}/3gpp-swap/v1`, '3gpp.SWAP.v1');
+    ws.once('open', () => resolve(ws));
+    ws.once('error', reject);
+  });
+  const nextMessage = (ws) => new Promise((resolve) => ws.once('message', (d) => resolve(JSON.parse(d.toString()))));
+
+  const first = await open();
+  const second = await open();
+  const reg = (source_id) => new RegisterMessage([{ type: 'service', value: 'bind' }], { source_id }).serialize();
+
+  first.send(reg('endpoint-owner-1'));
+  assert.equal((await nextMessage(first)).status, 200);
+
+  // A different source_id on the same socket is dropped without a response
+  const mismatch = new Promise((resolve) => server.once('source_mismatch', (bound, got) => resolve({ bound, got })));
+  first.send(reg('endpoint-spoof-1'));
+  assert.deepEqual(await mismatch, { bound: 'endpoint-owner-1', got: 'endpoint-spoof-1' });
+  assert.equal(server.endpoints.has('endpoint-spoof-1'), false);
+
+  // Another socket cannot claim an already bound source_id
+  second.send(reg('endpoint-owner-1'));
+  const refused = await nextMessage(second);
+  assert.ok(refused.error.type.endsWith('unauthorized.html'));
+  assert.equal(server.endpoints.get('endpoint-owner-1').readyState, WebSocket.OPEN);
+  assert.equal(server.registeredEndpoints.get('endpoint-owner-1').criteria[0].value, 'bind');
+
+  await server.stop();
+});
+
+test('SwapServer relays between ts26113 and legacy profile clients', async () => {
+  const server = new SwapServer({ port: 0, host: '127.0.0.1' });
+  const port = await server.start();
+
+  const spec = new SwapClient({ host: '127.0.0.1', port, secure: false, profile: 'ts26113', timeout: { response: 2000 }, reconnect: { enabled: false } });
+  const legacy = new SwapClient({ host: '127.0.0.1', port, secure: false, timeout: { response: 2000 }, reconnect: { enabled: false } });
+  const specRx = [];
+  spec.transport.on('message', (m) => specRx.push(JSON.parse(m)));
+  await spec.connect();
+  await legacy.connect();
+  await spec.register(new CriteriaBuilder().withService('profiles').build());
+
+  const rejected = new Promise((resolve) => legacy.once('reject', (reason) => resolve(reason)));
+  spec.once('connect', async (offer, source) => { await spec.reject(source, 'not now', { error_id: 'busy' }); });
+  await legacy.connectOffer('v=0...offer', new CriteriaBuilder().withService('profiles').build());
+  assert.equal(await rejected, 'not now');
+
+  const ack = specRx.find((m) => m.message_type === 'response');
+  assert.equal(ack.type, 'ack');
+  assert.equal(ack.target, spec.sourceId);
+  assert.equal(ack.response_to, undefined);
+
+  await assert.rejects(
+    () => spec.update('endpoint-nobody-1', 'v=0...update'),
+    (err) => err.status === 404 && err.problem.type.endsWith('target_unknown.html')
+  );
+
+  await server.stop();
+});
+
+test('SwapServer normalises message_type and answers unknown types with message_unknown', async () => {
+  const server = new SwapServer({ port: 0, host: '127.0.0.1' });
+  const port = await server.start();
+  const ws = await new Promise((resolve, reject) => {
+    const sock = new WebSocket(`ws://127.0.0.1:${port}/3gpp-swap/v1`, '3gpp.SWAP.v1');
+    sock.once('open', () => resolve(sock));
+    sock.once('error', reject);
+  });
+  const request = (obj) => new Promise((resolve) => {
+    ws.once('message', (d) => resolve(JSON.parse(d.toString())));
+    ws.send(JSON.stringify(obj));
+  });
+  const base = { version: 1, source_id: 'endpoint-casing-1' };
+
+  const registered = await request({ ...base, message_id: 1, message_type: 'Register', criteria: [{ type: 'service', value: 'casing' }] });
+  assert.equal(registered.status, 200);
+  assert.ok(server.registeredEndpoints.has('endpoint-casing-1'));
+
+  const unknown = await request({ ...base, message_id: 2, message_type: 'subscribe' });
+  assert.equal(unknown.response_to, 2);
+  assert.ok(unknown.error.type.endsWith('message_unknown.html'));
+
+  const malformed = await request({ ...base, message_id: 3, message_type: 'CONNECT' });
+  assert.ok(malformed.error.type.endsWith('message_malformatted.html'));
+
+  await server.stop();
+});
+
+test('SwapServer authenticates the WebSocket upgrade with a JWT', async () => {
+  const server = new SwapServer({ port: 0, host: '127.0.0.1', auth: { jwt: { secret: 'upgrade-secret' } } });
+  const port = await server.start();
+  const b64url = (v) => Buffer.from(JSON.stringify(v)).toString('base64url');
+  const input = `${b64url({ alg: 'HS256', typ: 'JWT' })}.${b64url({ sub: 'alice' })}`;
+  const token = `${input}.${createHmac('sha256', 'upgrade-secret').update(input).digest('base64url')}`;
+
+  const refused = await new Promise((resolve) => {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}/3gpp-swap/v1`, '3gpp.SWAP.v1');
+    ws.once('unexpected-response', (req, res) => resolve(res.statusCode));
+    ws.once('open', () => resolve('open'));
+  });
+  assert.equal(refused, 401);
+
+  const client = new SwapClient({ host: '127.0.0.1', port, secure: false, accessToken: token, timeout: { response: 2000 }, reconnect: { enabled: false } });
+  const connected = new Promise((resolve) => server.wss.once('connection', (ws) => resolve(ws)));
+  await client.connect();
+  assert.equal(server.identities.get(await connected).subject, 'alice');
+  const res = await client.register(new CriteriaBuilder().withService('auth').build());
+  assert.equal(res.status, 200);
+
+  await server.stop();
+});
+
+test('SwapServer answers messages on an expired connection with unauthorized', async () => {
+  const server = new SwapServer({
+    port: 0,
+    host: '127.0.0.1',
+    authenticate: async () => ({ subject: 'short-lived', expiresAt: Date.now() + 100 })
+  });
+  const port = await server.start();
+  const client = await connectClient(port);
+  await new Promise((r) => setTimeout(r, 150));
+  await assert.rejects(
+    () => client.register(new CriteriaBuilder().withService('auth').build()),
+    (err) => err.status === 401 && err.problem.type.endsWith('unauthorized.html')
+  );
+  await server.stop();
+});
+
+test('SwapServer enforces authorization policies loaded from a JSON file', async () => {
+  const policyFile = join(mkdtempSync(join(tmpdir(), 'swap-policy-')), 'policy.json');
+  writeFileSync(policyFile, JSON.stringify({
+    rules: [
+      { id: 'acme-only', action: 'register', when: { tenant: 'acme' }, allow: [{ type: 'service', value: 'acme-*' }] },
+      { id: 'eu-callers', action: 'connect', require: [{ type: 'location', value: 'eu' }] }
+    ]
+  }));
+  const server = new SwapServer({
+    port: 0,
+    host: '127.0.0.1',
+    authenticate: async () => ({ subject: 'svc', claims: { tenant: 'acme' } }),
+    authorization: policyFile
+  });
+  const port = await server.start();
+  const client = await connectClient(port);
+
+  await assert.rejects(
+    () => client.register(new CriteriaBuilder().withService('globex-video').build()),
+    (err) => err.status === 401 && err.problem.rule === 'acme-only' && /acme-only/.test(err.problem.detail)
+  );
+  assert.equal((await client.register(new CriteriaBuilder().withService('acme-video').build())).status, 200);
+
+  // Criteria connects: the policy sees what each match registered, so leaving location out of the
+  // request reaches neither the us endpoint nor, once one registers, anything but the eu one
+  const video = new CriteriaBuilder().withService('acme-video').build();
+  const us = await connectClient(port);
+  await us.register(new CriteriaBuilder().withService('acme-video').withLocation('us').build());
+  const denied = new Promise((resolve) => server.once('authorization_denied', (source, action, result) => resolve({ source, action, rule: result.rule })));
+  await assert.rejects(() => client.connectOffer('v=0...offer', video), (err) => err.status === 401 && err.problem.rule === 'eu-callers');
+  assert.deepEqual(await denied, { source: client.sourceId, action: 'connect', rule: 'eu-callers' });
+  const eu = await connectClient(port);
+  await eu.register(new CriteriaBuilder().withService('acme-video').withLocation('eu').build());
+  const offered = new Promise((resolve) => {
+    us.on('connect', () => resolve('us'));
+    eu.on('connect', () => resolve('eu'));
+  });
+  assert.equal((await client.connectOffer('v=0...offer', video)).status, 200);
+  assert.equal(await offered, 'eu');
+  const discovered = await client.discover(video);
+  assert.deepEqual(discovered.matches.map(m => m.endpoint), [eu.sourceId]);
+  assert.equal(server.discover(video).count, 3);
+  const watch = await client.subscribe(video);
+  const { value: first } = await watch[Symbol.asyncIterator]().next();
+  assert.equal(first.endpoint, eu.sourceId);
+  assert.deepEqual([...server.presence.subscriptions.get(client.sourceId).get(watch.id).matched], [eu.sourceId]);
+
+  // Direct connects: an unknown target is not found, the policy sees what the target registered,
+  // and a target that never registered is refused
+  await assert.rejects(() => client.connectOffer('v=0...offer', 'endpoint-nobody-1'), (err) => err.status === 404);
+  const target = await connectClient(port);
+  await target.unregister(); // connected and bound, but not registered
+  await assert.rejects(
+    () => client.connectOffer('v=0...offer', target.sourceId),
+    (err) => err.status === 401 && err.problem.rule === 'unregistered'
+  );
+  await target.register(new CriteriaBuilder().withService('acme-video').withLocation('us').build());
+  await assert.rejects(() => client.connectOffer('v=0...offer', target.sourceId), (err) => err.problem.rule === 'eu-callers');
+  await target.register(new CriteriaBuilder().withService('acme-video').withLocation('eu').build());
+  assert.equal((await client.connectOffer('v=0...offer', target.sourceId)).status, 200);
+
+  await server.stop();
+});
+
+test('SwapServer grants, refreshes and withdraws registration lifetimes', async () => {
+  const server = new SwapServer({ port: 0, host: '127.0.0.1', registration: { maxExpires: 60 } });
+  const port = await server.start();
+  const client = await connectClient(port, { profile: 'ts26113' });
+  const find = (service) => server.matching.findMatches(new CriteriaBuilder().withService(service).build());
+
+  assert.equal((await client.register(new CriteriaBuilder().withService('ttl').build(), { expires: 3600 })).expires, 60);
+  assert.equal((await client.register(new CriteriaBuilder().withService('ttl-2').build())).expires, 60);
+  assert.deepEqual(find('ttl'), []);
+  assert.deepEqual(find('ttl-2'), [client.sourceId]);
+
+  const unregistered = new Promise((resolve) => server.once('unregistered', (id, reason) => resolve({ id, reason })));
+  assert.equal((await client.unregister()).expires, 0);
+  assert.deepEqual(await unregistered, { id: client.sourceId, reason: 'unregistered' });
+  assert.deepEqual(find('ttl-2'), []);
+
+  const expired = new Promise((resolve) => server.once('unregistered', (id, reason) => resolve(reason)));
+  await client.register(new CriteriaBuilder().withService('ttl').build(), { expires: 0.05 });
+  assert.equal(await expired, 'expired');
+  assert.deepEqual(find('ttl'), []);
+  assert.ok(server.endpoints.has(client.sourceId)); // the connection outlives the registration
+  await server.stop();
+});
+
+test('SwapServer skips endpoints at their session limit and reports target_busy', async () => {
+  const server = new SwapServer({ port: 0, host: '127.0.0.1' });
+  const port = await server.start();
+  const preferred = await connectClient(port);
+  const fallback = await connectClient(port);
+  await preferred.register(new CriteriaBuilder().withService('limited').withQos('high').build(), { capabilities: { maxSessions: 1 } });
+  await fallback.register(new CriteriaBuilder().withService('limited').build(), { capabilities: { maxSessions: 1 } });
+  const criteria = new CriteriaBuilder().withService('limited').withQos('high').build();
+
+  const [first, second, third] = [await connectClient(port), await connectClient(port), await connectClient(port)];
+  await first.connectOffer('v=0...offer', criteria);
+  await second.connectOffer('v=0...offer', criteria);
+  assert.ok(server.sessions.get(first.sourceId, preferred.sourceId));
+  assert.ok(server.sessions.get(second.sourceId, fallback.sourceId));
+  await assert.rejects(
+    () => third.connectOffer('v=0...offer', criteria),
+    (err) => err.status === 503 && err.problem.type.endsWith('target_busy.html')
+  );
+  await server.stop();
+});
+
+test('SwapServer fails a connect over to the next ranked match on reject or timeout', async () => {
+  const server = new SwapServer({ port: 0, host: '127.0.0.1', failover: { timeout: 150 } });
+  const port = await server.start();
+  const [rejecting, silent, answering] = [await connectClient(port), await connectClient(port), await connectClient(port)];
+  await rejecting.register(new CriteriaBuilder().withService('failover').withQos('high').withProcessing('gltf', 'h264').build());
+  await silent.register(new CriteriaBuilder().withService('failover').withQos('high').build());
+  await answering.register(new CriteriaBuilder().withService('failover').build());
+  const criteria = new CriteriaBuilder().withService('failover').withQos('high').withProcessing('gltf', 'h264').build();
+
+  const [caller, second] = [await connectClient(port), await connectClient(port)];
+  rejecting.on('connect', (offer, from) => rejecting.reject(from, 'not now'));
+  answering.on('connect', (offer, from) => (from === caller.sourceId ? answering.accept(from, 'v=0...answer') : answering.reject(from, 'full')));
+
+  const accepted = new Promise((resolve) => caller.on('accept', (answer, from) => resolve(from)));
+  await caller.connectOffer('v=0...offer', criteria);
+  assert.equal(await accepted, answering.sourceId);
+  assert.equal(server.sessions.get(caller.sourceId, answering.sourceId).state, 'connected');
+
+  const failed = new Promise((resolve) => second.on('error', (err, session) => resolve({ err, session })));
+  await second.connectOffer('v=0...offer', criteria);
+  const { err, session } = await failed;
+  assert.ok(err.type.endsWith('target_unknown.html'));
+  assert.deepEqual(err.problem.attempted, [
+    { endpoint: rejecting.sourceId, outcome: 'rejected', reason: 'not now' },
+    { endpoint: silent.sourceId, outcome: 'timeout' },
+    { endpoint: answering.sourceId, outcome: 'rejected', reason: 'full' }
+  ]);
+  assert.equal(session.state, 'idle');
+  assert.equal(second.outgoing.size, 0);
+  assert.equal(server.pendingConnections.size, 0);
+  await server.stop();
+});
+
+test('SwapServer moves affinity to the endpoint that accepts after a reject', async () => {
+  const server = new SwapServer({ port: 0, host: '127.0.0.1', affinity: true, failover: true });
+  const port = await server.start();
+  const [first, second, caller] = [await connectClient(port), await connectClient(port), await connectClient(port)];
+  const pool = new CriteriaBuilder().withService('stateful').build();
+  await first.register(pool);
+  await second.register(pool);
+  const criteria = new CriteriaBuilder().withService('stateful').withAffinity('alice').build();
+  const offered = [];
+  let refusing = null;
+  for (const endpoint of [first, second]) {
+    endpoint.on('connect', (offer, from) => {
+      offered.push(endpoint.sourceId);
+      // Whoever is offered the first call turns it down, and keeps refusing
+      refusing ??= endpoint.sourceId;
+      if (endpoint.sourceId === refusing) endpoint.reject(from, 'not now');
+      else endpoint.accept(from, 'v=0...answer');
+    });
+  }
+
+  const accepted = new Promise((resolve) => caller.once('accept', (answer, from) => resolve(from)));
+  await caller.connectOffer('v=0...offer', criteria);
+  const host = await accepted;
+  assert.notEqual(host, refusing);
+  assert.equal(server.matching.preferred(server.matching.rank(criteria), criteria), host);
+
+  // The next call with the same key goes straight to the endpoint that accepted
+  await caller.close(host);
+  offered.length = 0;
+  const again = new Promise((resolve) => caller.once('accept', (answer, from) => resolve(from)));
+  await caller.connectOffer('v=0...offer', criteria);
+  assert.equal(await again, host);
+  assert.deepEqual(offered, [host]);
+
+  // Unregistering drops the endpoint's keys
+  await (host === first.sourceId ? first : second).unregister();
+  assert.equal(server.matching.affinity.entries.size, 0);
+  await server.stop();
+});
+
+test('SwapServer forks a user connect to every device and cancels the losers', async () => {
+  const server = new SwapServer({ port: 0, host: '127.0.0.1', forking: true });
+  const port = await server.start();
+  const devices = new CriteriaBuilder().withUser('sip:alice@example.com').build();
+  const [phone, tablet, laptop, caller] = [await connectClient(port), await connectClient(port), await connectClient(port), await connectClient(port)];
+  for (const device of [phone, tablet, laptop]) await device.register(devices);
+
+  const forked = new Promise((resolve) => server.once('forked', (source, forks) => resolve(forks)));
+  const ringing = (device) => new Promise((resolve) => device.once('connect', (offer, from) => resolve(from)));
+  const rings = Promise.all([phone, tablet, laptop].map(ringing));
+  const cancelled = new Promise((resolve) => laptop.once('close', resolve));
+  let rejected = false;
+  caller.on('reject', () => { rejected = true; });
+  const accepted = new Promise((resolve) => caller.once('accept', (answer, from) => resolve(from)));
+
+  await caller.connectOffer('v=0...offer', devices);
+  assert.equal((await forked).length, 3);
+  assert.deepEqual(await rings, [caller.sourceId, caller.sourceId, caller.sourceId]);
+  await phone.reject(caller.sourceId, 'declined');
+  await tablet.accept(caller.sourceId, 'v=0...answer');
+
+  assert.equal(await accepted, tablet.sourceId);
+  await cancelled;
+  assert.equal(rejected, false);
+  assert.equal(server.sessions.get(caller.sourceId, tablet.sourceId).state, 'connected');
+  assert.equal(server.sessions.get(caller.sourceId, laptop.sourceId), undefined);
+  assert.equal(server.sessions.get(caller.sourceId, phone.sourceId), undefined);
+  assert.equal(server.pendingConnections.size, 0);
+  await server.stop();
+});
+
+test('SwapServer closes unanswered forks and fails the connect after the fork timeout', async () => {
+  const server = new SwapServer({ port: 0, host: '127.0.0.1', forking: { timeout: 150 } });
+  const port = await server.start();
+  const devices = new CriteriaBuilder().withUser('sip:bob@example.com').build();
+  const [phone, tablet, caller] = [await connectClient(port), await connectClient(port), await connectClient(port)];
+  for (const device of [phone, tablet]) await device.register(devices);
+
+  const closed = Promise.all([phone, tablet].map(device => new Promise((resolve) => device.once('close', (from) => resolve(from)))));
+  const timedOut = new Promise((resolve) => server.once('fork_timeout', (source, forks) => resolve({ source, forks })));
+  const failed = new Promise((resolve) => caller.on('error', (err, session) => resolve({ err, session })));
+  await caller.connectOffer('v=0...offer', devices);
+
+  const { err, session } = await failed;
+  assert.ok(err.type.endsWith('target_unknown.html'));
+  assert.deepEqual(err.problem.attempted, [
+    { endpoint: phone.sourceId, outcome: 'timeout' },
+    { endpoint: tablet.sourceId, outcome: 'timeout' }
+  ]);
+  assert.equal(session.state, 'idle');
+  assert.deepEqual(await timedOut, { source: caller.sourceId, forks: [phone.sourceId, tablet.sourceId] });
+  assert.deepEqual(await closed, [caller.sourceId, caller.sourceId]);
+  assert.equal(server.sessions.get(caller.sourceId, phone.sourceId), undefined);
+  assert.equal(server.sessions.get(caller.sourceId, tablet.sourceId), undefined);
+  assert.equal(server.pendingConnections.size, 0);
+  await server.stop();
+});
+
+test('SwapServer queues connects while every match is busy', async () => {
+  const server = new SwapServer({
+    port: 0,
+    host: '127.0.0.1',
+    closeTimeout: 50,
+    softTypes: ['qos', 'processing', 'tier'], // agents need not register the priority criterion
+    queue: { timeout: 400, serviceInterval: 10000, priorities: { tier: { gold: 5 } } }
+  });
+  const port = await server.start();
+  const agent = await connectClient(port);
+  await agent.register(new CriteriaBuilder().withService('support').build(), { capabilities: { maxSessions: 1 } });
+  agent.on('connect', (offer, from) => agent.accept(from, 'v=0...answer'));
+  const [first, regular, gold] = [await connectClient(port), await connectClient(port), await connectClient(port)];
+  const statuses = (c) => {
+    const seen = [];
+    c.on('application', (type, value) => type === 'queue_status' && seen.push(value));
+    return seen;
+  };
+  const regularStatus = statuses(regular);
+  const goldStatus = statuses(gold);
+
+  const connected = new Promise((resolve) => first.once('accept', resolve));
+  await first.connectOffer('v=0...offer', new CriteriaBuilder().withService('support').build());
+  await connected;
+  await regular.connectOffer('v=0...offer', new CriteriaBuilder().withService('support').build());
+  const dispatched = new Promise((resolve) => server.once('dequeued', (source, target) => resolve({ source, target })));
+  const goldAccepted = new Promise((resolve) => gold.once('accept', (answer, from) => resolve(from)));
+  await gold.connectOffer('v=0...offer', new CriteriaBuilder().withService('support').with('tier', 'gold').build());
+  assert.equal(server.queue.position(gold.sourceId), 1);
+  assert.equal(server.queue.position(regular.sourceId), 2);
+
+  await first.close(agent.sourceId);
+  assert.deepEqual(await dispatched, { source: gold.sourceId, target: agent.sourceId });
+  assert.equal(await goldAccepted, agent.sourceId);
+
+  const timedOut = new Promise((resolve) => regular.once('error', resolve));
+  const err = await timedOut;
+  assert.equal(err.status, 503);
+  assert.deepEqual(regularStatus.map(s => s.position), [1, 2, 1]);
+  assert.deepEqual(goldStatus, [{ position: 1, size: 2, estimated_wait: 10 }]);
+  assert.equal(server.queue.size, 0);
+  await server.stop();
+});
+
+test('SwapServer divides the estimated queue wait by the sessions the matches can hold', async () => {
+  const server = new SwapServer({ port: 0, host: '127.0.0.1', queue: { serviceInterval: 12000 } });
+  const port = await server.start();
+  const pool = new CriteriaBuilder().withService('desk').build();
+  const [large, small] = [await connectClient(port), await connectClient(port)];
+  await large.register(pool, { capabilities: { maxSessions: 2 } });
+  await small.register(pool, { capabilities: { maxSessions: 1 } });
+  // Unanswered connects hold their sessions too
+  for (let i = 0; i < 3; i++) await (await connectClient(port)).connectOffer('v=0...offer', pool);
+
+  const waiting = await connectClient(port);
+  const status = new Promise((resolve) => waiting.on('application', (type, value) => type === 'queue_status' && resolve(value)));
+  await waiting.connectOffer('v=0...offer', pool);
+  assert.deepEqual(await status, { position: 1, size: 1, estimated_wait: 4 });
+  await server.stop();
+});
+
+test('SwapServer pushes presence notifications to subscribers', async () => {
+  const server = new SwapServer({ port: 0, host: '127.0.0.1' });
+  const port = await server.start();
+  const [watcher, early, late, caller] = [await connectClient(port), await connectClient(port), await connectClient(port), await connectClient(port)];
+  const criteria = new CriteriaBuilder().withService('presence').build();
+  await watcher.register(new CriteriaBuilder().withService('watcher').build());
+  await early.register(criteria, { capabilities: { maxSessions: 1 } });
+
+  const sub = await watcher.subscribe(criteria);
+  // The snapshot is held until someone listens, however late
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  const names = { [early.sourceId]: 'early', [late.sourceId]: 'late' };
+  const seen = [];
+  sub.on('presence', (e) => seen.push(`${e.event}:${names[e.endpoint]}`));
+  const events = sub[Symbol.asyncIterator]();
+  assert.deepEqual((await events.next()).value, { subscription: sub.id, event: 'registered', endpoint: early.sourceId });
+
+  await caller.connectOffer('v=0...offer', criteria); // early reaches its maxSessions
+  assert.equal((await events.next()).value.event, 'busy');
+  // A later subscriber learns it is busy from the snapshot
+  const second = await watcher.subscribe(criteria);
+  const snapshot = [];
+  for await (const e of second) {
+    snapshot.push(e.event);
+    if (snapshot.length === 2) break;
+  }
+  assert.deepEqual(snapshot, ['registered', 'busy']);
+
+  // Presence types between peers are relayed like any other application message
+  const relayed = new Promise((resolve) => early.once('application', (type, value, from) => resolve({ type, value, from })));
+  await caller.sendApp(early.sourceId, 'presence_subscribe', { id: 'peer-defined' });
+  assert.deepEqual(await relayed, { type: 'presence_subscribe', value: { id: 'peer-defined' }, from: caller.sourceId });
+  await late.register(criteria);
+  await late.register(new CriteriaBuilder().withService('elsewhere').build());
+  await early.unregister();
+
+  const rest = [];
+  for await (const e of { [Symbol.asyncIterator]: () => events }) {
+    rest.push(`${e.event}:${names[e.endpoint]}`);
+    if (rest.length === 3) break;
+  }
+  assert.deepEqual(rest, ['registered:late', 'unregistered:late', 'unregistered:early']);
+  assert.deepEqual(seen, ['registered:early', 'busy:early', ...rest]);
+  assert.ok(sub.closed); // breaking out of the loop unsubscribes
+  assert.equal(server.presence.subscriptions.size, 0);
+  await server.stop();
+});
+
+test('PresenceSubscription holds at most maxBuffer events until a listener attaches', async () => {
+  const sub = new PresenceSubscription({ _unsubscribe: async () => {} }, 'sub-1', [], { maxBuffer: 2 });
+  for (const endpoint of ['ep-1', 'ep-2', 'ep-3']) sub._push({ subscription: 'sub-1', event: 'registered', endpoint });
+  assert.equal(sub._held.length, 2);
+  const seen = [];
+  sub.on('registered', (endpoint) => seen.push(endpoint));
+  await Promise.resolve();
+  assert.deepEqual(seen, ['ep-2', 'ep-3']);
+});
+
+test('SwapClient.discover reports what a connect would pick without sending an offer', async () => {
+  const server = new SwapServer({ port: 0, host: '127.0.0.1' });
+  const port = await server.start();
+  const [full, partial, caller] = [await connectClient(port), await connectClient(port), await connectClient(port)];
+  await full.register(new CriteriaBuilder().withService('render').withQos('high').build(), { capabilities: { gpu: 'a100' } });
+  await partial.register(new CriteriaBuilder().withService('render').build());
+  let offered = false;
+  for (const c of [full, partial]) c.on('connect', () => { offered = true; });
+
+  const result = await caller.discover(new CriteriaBuilder().withService('render').withQos('high').build());
+  assert.equal(result.mode, 'select');
+  assert.equal(result.count, 2);
+  assert.deepEqual(result.candidates, [full.sourceId]);
+  assert.deepEqual(result.matches.map(m => [m.endpoint, m.score, m.busy]), [[full.sourceId, 2, false], [partial.sourceId, 1, false]]);
+  assert.equal(result.matches[0].capabilities.gpu, 'a100');
+  assert.match(result.matches[1].explanation, /deprioritized/);
+
+  assert.equal((await caller.discover(new CriteriaBuilder().withService('nothing').build())).mode, 'none');
+  assert.equal(offered, false);
+  assert.equal(server.sessions.sessions.size, 0);
+
+  // A discover addressed to a peer is the peer's business, not the server's
+  await caller.connectOffer('v=0...offer', full.sourceId);
+  const relayed = new Promise((resolve) => full.once('application', (type, value) => resolve({ type, value })));
+  await caller.sendApp(full.sourceId, 'discover', { id: 'peer-defined', criteria: [] });
+  assert.deepEqual(await relayed, { type: 'discover', value: { id: 'peer-defined', criteria: [] } });
+  await server.stop();
+});
+
+test('SwapServer routes a connect with a known target without matching', async () => {
+  const server = new SwapServer({ port: 0, host: '127.0.0.1' });
+  const port = await server.start();
+  const [callee, caller, gone] = [await connectClient(port), await connectClient(port), await connectClient(port)];
+  await callee.register(new CriteriaBuilder().withService('callback').build());
+  await gone.register(new CriteriaBuilder().withService('callback').build());
+  const goneId = gone.sourceId;
+  const left = new Promise((resolve) => server.once('unregistered', resolve));
+  gone.transport.close();
+  await left;
+
+  const ringing = new Promise((resolve) => callee.once('connect', (offer, from) => resolve(from)));
+  await caller.connectOffer('v=0...offer', callee.sourceId);
+  assert.equal(await ringing, caller.sourceId);
+  assert.equal(server.sessions.get(caller.sourceId, callee.sourceId).state, 'connecting');
+
+  const other = await connectClient(port);
+  await assert.rejects(
+    () => other.connectOffer('v=0...offer', goneId),
+    (err) => err.status === 404 && err.problem.type.endsWith('target_unknown.html')
+  );
+  await server.stop();
+});
+
+test('SwapServer rebinds a reconnecting endpoint inside the grace period', async () => {
+  const server = new SwapServer({ port: 0, host: '127.0.0.1', resumption: { grace: 300 } });
+  const port = await server.start();
+  const [mobile, peer] = [await connectClient(port), await connectClient(port)];
+  const criteria = new CriteriaBuilder().withService('resume').build();
+  assert.ok((await mobile.register(criteria)).resume_token);
+  mobile.on('connect', (offer, from) => mobile.accept(from, 'v=0...answer'));
+  const accepted = new Promise((resolve) => peer.once('accept', resolve));
+  await peer.connectOffer('v=0...offer', criteria);
+  await accepted;
+
+  // Network blip: the socket drops, the session survives and messages for it are held
+  const suspended = new Promise((resolve) => server.once('suspended', resolve));
+  mobile.transport.ws.close();
+  await suspended;
+  await peer.update(mobile.sourceId, 'v=0...reoffer');
+  assert.equal(server.sessions.get(peer.sourceId, mobile.sourceId).state, 'updating');
+  assert.deepEqual(server.matching.findMatches(criteria), []);
+
+  const impostor = await connectClient(port, { identity: { source_id: mobile.sourceId } });
+  await assert.rejects(() => impostor.register(criteria), (err) => err.status === 401);
+
+  const resumed = new Promise((resolve) => server.once('resumed', (source, count) => resolve(count)));
+  const updated = new Promise((resolve) => mobile.once('update', (sdp, from) => resolve({ sdp, from })));
+  await mobile.transport.connect();
+  await mobile.register(criteria);
+  assert.equal(await resumed, 1);
+  assert.deepEqual(await updated, { sdp: 'v=0...reoffer', from: peer.sourceId });
+  assert.deepEqual(server.matching.findMatches(criteria), [mobile.sourceId]);
+
+  // Past the grace period the endpoint is torn down as before
+  const closed = new Promise((resolve) => peer.once('close', resolve));
+  const expired = new Promise((resolve) => server.once('resume_expired', resolve));
+  mobile.transport.ws.close();
+  assert.equal(await expired, mobile.sourceId);
+  await closed;
+  assert.equal(server.registeredEndpoints.has(mobile.sourceId), false);
+  assert.equal(server.sessions.get(peer.sourceId, mobile.sourceId), undefined);
+  await server.stop();
+});
+
+test('SwapServer resumes over a half-open socket and suspends sockets that miss heartbeats', async () => {
+  const server = new SwapServer({ port: 0, host: '127.0.0.1', resumption: { grace: 300 }, heartbeat: { interval: 50 } });
+  const port = await server.start();
+  const [mobile, peer] = [await connectClient(port), await connectClient(port)];
+  const criteria = new CriteriaBuilder().withService('half-open').build();
+  const { resume_token: token } = await mobile.register(criteria);
+  mobile.on('connect', (offer, from) => mobile.accept(from, 'v=0...answer'));
+  const accepted = new Promise((resolve) => peer.once('accept', resolve));
+  await peer.connectOffer('v=0...offer', criteria);
+  await accepted;
+
+  // The old socket is still open when the endpoint comes back on a new one
+  const suspensions = [];
+  server.on('suspended', (source) => suspensions.push(source));
+  const stale = mobile.transport.ws;
+  const staleClosed = new Promise((resolve) => stale.once('close', resolve));
+  const replacement = await connectClient(port, { identity: { source_id: mobile.sourceId } });
+  replacement.resumeToken = token;
+  const resumed = new Promise((resolve) => server.once('resumed', (source, count) => resolve({ source, count })));
+  assert.equal((await replacement.register(criteria)).resume_token, token);
+  assert.deepEqual(await resumed, { source: mobile.sourceId, count: 0 });
+  await staleClosed;
+  assert.deepEqual(suspensions, []);
+  const updated = new Promise((resolve) => replacement.once('update', resolve));
+  await peer.update(mobile.sourceId, 'v=0...reoffer');
+  assert.equal(await updated, 'v=0...reoffer');
+  assert.equal(server.sessions.get(peer.sourceId, mobile.sourceId).state, 'updating');
+
+  // Without the token the bound source_id stays refused
+  const impostor = await connectClient(port, { identity: { source_id: mobile.sourceId } });
+  await assert.rejects(() => impostor.register(criteria), (err) => err.status === 401);
+
+  // A socket that stops answering pings is terminated, which suspends its endpoint
+  const dead = await new Promise((resolve, reject) => {
+    const sock = new WebSocket(`ws://127.0.0.1:${port}/3gpp-swap/v1`, '3gpp.SWAP.v1', { autoPong: false });
+    sock.once('open', () => resolve(sock));
+    sock.once('error', reject);
+  });
+  const registered = new Promise((resolve) => dead.once('message', resolve));
+  dead.send(new RegisterMessage(criteria, { source_id: 'endpoint-dead-1' }).serialize());
+  await registered;
+  const suspended = new Promise((resolve) => server.once('suspended', resolve));
+  assert.equal(await suspended, 'endpoint-dead-1');
+  assert.equal(replacement.transport.ws.readyState, WebSocket.OPEN);
+  await server.stop();
+});
+
+test('SwapClient re-registers after a reconnect and re-sends unacknowledged requests', async () => {
+  const server = new SwapServer({ port: 0, host: '127.0.0.1', resumption: { grace: 2000 } });
+  const port = await server.start();
+  const mobile = await connectClient(port, { reconnect: { initialDelay: 100, maxAttempts: 3 } });
+  const peer = await connectClient(port);
+  const criteria = new CriteriaBuilder().withService('restore').build();
+  await mobile.register(criteria, { capabilities: { weight: 2 } });
+  const answered = new Promise((resolve) => mobile.once('connect', (offer, from) => resolve(mobile.accept(from, 'v=0...answer'))));
+  await peer.connectOffer('v=0...offer', criteria);
+  await answered;
+
+  const events = [];
+  for (const name of ['reconnecting', 'reconnected', 'resumed']) mobile.on(name, (info) => events.push([name, info]));
+  const resumed = new Promise((resolve) => mobile.once('resumed', resolve));
+  const chats = [];
+  peer.on('application', (type, value) => chats.push(value));
+
+  // The request goes out as the socket dies; it is answered only after the client is back
+  const chat = mobile.sendApp(peer.sourceId, 'chat', 'hello');
+  mobile.transport.ws.terminate();
+  const info = await resumed;
+  assert.equal((await chat).status, 200);
+
+  assert.deepEqual(events.map(([name]) => name), ['reconnecting', 'reconnected', 'resumed']);
+  assert.deepEqual(events[0][1], { attempt: 1, delay: 100 });
+  assert.equal(info.resumed, true);
+  assert.equal(info.resent, 1);
+  assert.equal(info.registration.resume_token, mobile.resumeToken);
+  assert.deepEqual(chats, ['hello']);
+  assert.deepEqual(server.matching.findMatches(criteria), [mobile.sourceId]);
+  assert.equal(server.registeredEndpoints.get(mobile.sourceId).capabilities.weight, 2);
+  assert.equal(server.sessions.get(peer.sourceId, mobile.sourceId).state, 'connected');
+
+  mobile.transport.close();
+  await server.stop();
+});
+
+test('SwapClient re-registers without a resumption when the server has none', async () => {
+  const server = new SwapServer({ port: 0, host: '127.0.0.1' });
+  const port = await server.start();
+  const client = await connectClient(port, { reconnect: { initialDelay: 100, maxAttempts: 3 } });
+  const criteria = new CriteriaBuilder().withService('restore').build();
+  await client.register(criteria);
+
+  const unregistered = new Promise((resolve) => server.once('unregistered', (source, reason) => resolve(reason)));
+  const reconnected = new Promise((resolve) => client.once('reconnected', resolve));
+  let resumed = false;
+  client.on('resumed', () => { resumed = true; });
+  client.transport.ws.terminate();
+  assert.equal(await unregistered, 'disconnected');
+  const info = await reconnected;
+  assert.equal(info.resumed, false);
+  assert.equal(info.registration.status, 200);
+  assert.equal(resumed, false);
+  assert.deepEqual(server.matching.findMatches(criteria), [client.sourceId]);
+
+  // After unregister() there is nothing to restore
+  await client.unregister();
+  const again = new Promise((resolve) => client.once('reconnected', resolve));
+  client.transport.ws.terminate();
+  assert.equal((await again).registration, null);
+  assert.deepEqual(server.matching.findMatches(criteria), []);
+
+  client.transport.close();
+  await server.stop();
+});
+
+test('SwapClient tracks concurrent sessions, each with its own state', async () => {
+  const server = new SwapServer({ port: 0, host: '127.0.0.1' });
+  const port = await server.start();
+  const media = await connectClient(port);
+  const ues = [await connectClient(port), await connectClient(port), await connectClient(port)];
+  const criteria = new CriteriaBuilder().withService('media-function').build();
+  await media.register(criteria);
+  const answers = [];
+  media.on('session', (session) => answers.push(session.accept(`v=0...answer-${session.peer}`)));
+
+  const answered = ues.map((ue) => new Promise((resolve) => ue.once('accept', (answer, from, session) => resolve(session))));
+  const sessions = await Promise.all(ues.map((ue) => ue.openSession('v=0...offer', criteria)));
+  assert.deepEqual(await Promise.all(answered), sessions);
+  await Promise.all(answers);
+  for (const [i, session] of sessions.entries()) {
+    assert.equal(session.peer, media.sourceId);
+    assert.equal(session.state, 'connected');
+    assert.equal(session.answer, `v=0...answer-${ues[i].sourceId}`);
+    assert.equal(media.session(ues[i].sourceId).state, 'connected');
+  }
+  assert.equal(media.sessions.size, 3);
+
+  // A re-offer on one session leaves the others alone
+  const incoming = media.session(ues[0].sourceId);
+  const reoffered = new Promise((resolve) => incoming.once('update', resolve));
+  await sessions[0].update('v=0...reoffer');
+  assert.equal(await reoffered, 'v=0...reoffer');
+  assert.equal(sessions[0].state, 'updating');
+  assert.equal(incoming.state, 'updating');
+  assert.equal(media.session(ues[1].sourceId).state, 'connected');
+  const reanswered = new Promise((resolve) => sessions[0].once('accept', resolve));
+  await incoming.accept('v=0...reanswer');
+  assert.equal(await reanswered, 'v=0...reanswer');
+  assert.equal(sessions[0].state, 'connected');
+
+  const leaving = media.session(ues[1].sourceId);
+  const left = new Promise((resolve) => leaving.once('closed', resolve));
+  assert.deepEqual(await sessions[1].close(), { reason: 'closed', initiator: 'local' });
+  assert.deepEqual(await left, { reason: 'closed', initiator: 'remote' });
+  assert.equal(ues[1].sessions.size, 0);
+  assert.equal(leaving.state, 'idle');
+  assert.equal(sessions[1].state, 'idle');
+  assert.deepEqual([...media.sessions.keys()], [ues[0].sourceId, ues[2].sourceId]);
+  await assert.rejects(() => ues[2].connectOffer('v=0...offer', media.sourceId), /Session with .* is connected/);
+  await server.stop();
+});
+
+test('SwapClient matches each accept to its criteria connect, answered in any order', async () => {
+  const server = new SwapServer({ port: 0, host: '127.0.0.1' });
+  const port = await server.start();
+  const [caller, alpha, beta] = [await connectClient(port), await connectClient(port), await connectClient(port)];
+  await alpha.register(new CriteriaBuilder().withService('alpha').build());
+  await beta.register(new CriteriaBuilder().withService('beta').build());
+  const ringing = (endpoint) => new Promise((resolve) => endpoint.once('session', resolve));
+  const [alphaRings, betaRings] = [ringing(alpha), ringing(beta)];
+
+  const toAlpha = await caller.openSession('v=0...offer-alpha', new CriteriaBuilder().withService('alpha').build());
+  const toBeta = await caller.openSession('v=0...offer-beta', new CriteriaBuilder().withService('beta').build());
+  const [atAlpha, atBeta] = await Promise.all([alphaRings, betaRings]);
+  assert.equal(caller.outgoing.size, 2);
+
+  // The later connect is answered first
+  const betaAnswered = new Promise((resolve) => toBeta.once('accept', resolve));
+  await atBeta.accept('v=0...answer-beta');
+  assert.equal(await betaAnswered, 'v=0...answer-beta');
+  const alphaAnswered = new Promise((resolve) => toAlpha.once('accept', resolve));
+  await atAlpha.accept('v=0...answer-alpha');
+  assert.equal(await alphaAnswered, 'v=0...answer-alpha');
+
+  assert.deepEqual([toAlpha.peer, toAlpha.answer, toAlpha.state], [alpha.sourceId, 'v=0...answer-alpha', 'connected']);
+  assert.deepEqual([toBeta.peer, toBeta.answer, toBeta.state], [beta.sourceId, 'v=0...answer-beta', 'connected']);
+  assert.equal(caller.session(alpha.sourceId), toAlpha);
+  assert.equal(caller.session(beta.sourceId), toBeta);
+  assert.equal(caller.outgoing.size, 0);
+  await server.stop();
+});
+
+test('SwapPeerListener serves a single SwapClient point to point', async () => {
+  const listener = new SwapPeerListener({ port: 0, host: '127.0.0.1' });
+  const port = await listener.start();
+  const caller = await connectClient(port);
+  listener.on('session', (session) => session.accept('v=0...answer'));
+
+  // No register and no criteria: the listening endpoint is the only one there is
+  const accepted = new Promise((resolve) => caller.once('accept', (answer, from, session) => resolve(session)));
+  const session = await caller.openSession('v=0...offer');
+  assert.equal(await accepted, session);
+  assert.equal(session.peer, listener.sourceId);
+  assert.equal(session.state, 'connected');
+  assert.equal(caller.serverId, listener.sourceId);
+  const remote = listener.session(caller.sourceId);
+  assert.equal(remote.state, 'connected');
+  assert.equal(remote.offer, 'v=0...offer');
+
+  // The listener's own messages are not acknowledged; the caller's are, by the listener
+  const reoffered = new Promise((resolve) => session.once('update', resolve));
+  assert.equal(await remote.update('v=0...reoffer'), null);
+  assert.equal(await reoffered, 'v=0...reoffer');
+  // Only the accept of a close may leave out the answer
+  await assert.rejects(() => session.accept(), (err) => err.status === 400 && err.problem.detail.includes('needs an answer'));
+  assert.equal(remote.state, 'updating');
+  const reanswered = new Promise((resolve) => remote.once('accept', resolve));
+  assert.equal((await session.accept('v=0...reanswer')).status, 200);
+  assert.equal(await reanswered, 'v=0...reanswer');
+  assert.equal(remote.state, 'connected');
+
+  await assert.rejects(() => caller.sendApp('somebody-else', 'chat', 'hi'), (err) => err.status === 404);
+  const refused = new Promise((resolve) => listener.once('refused', resolve));
+  const second = await connectClient(port);
+  await refused;
+
+  const closed = new Promise((resolve) => listener.once('close', resolve));
+  await session.close();
+  assert.equal(await closed, caller.sourceId);
+  assert.equal(listener.sessions.size, 0);
+  caller.transport.close();
+  second.transport.close();
+  await listener.stop();
+});
+
+test('SwapClient close waits for the accept, times out, and settles crossing closes', async () => {
+  const server = new SwapServer({ port: 0, host: '127.0.0.1' });
+  const port = await server.start();
+  const timeout = { response: 2000, close: 100 };
+
+  // A bare endpoint that answers connects but never a close
+  const ws = await new Promise((resolve, reject) => {
+    const sock = new WebSocket(`ws://127.0.0.1:${port}/3gpp-swap/v1`, '3gpp.SWAP.v1');
+    sock.once('open', () => resolve(sock));
+    sock.once('error', reject);
+  });
+  const silentId = 'endpoint-silent-1';
+  const registered = new Promise((resolve) => ws.once('message', resolve));
+  ws.send(new RegisterMessage([{ type: 'service', value: 'silent' }], { source_id: silentId }).serialize());
+  await registered;
+  const received = [];
+  ws.on('message', (d) => {
+    const m = JSON.parse(d.toString());
+    received.push(m.message_type);
+    if (m.message_type === 'connect') ws.send(new AcceptMessage(m.source_id, 'v=0...answer', { source_id: silentId }).serialize());
+  });
+
+  const caller = await connectClient(port, { timeout });
+  const closedEvents = [];
+  caller.on('closed', (peer, info) => closedEvents.push({ peer, ...info }));
+  const answered = new Promise((resolve) => caller.once('accept', resolve));
+  const session = await caller.openSession('v=0...offer', [{ type: 'service', value: 'silent' }]);
+  await answered;
+  assert.deepEqual(await session.close(), { reason: 'timeout', initiator: 'local' });
+  assert.equal(session.state, 'idle');
+  assert.equal(caller.sessions.size, 0);
+  assert.deepEqual(received, ['connect', 'response', 'close']);
+  assert.deepEqual(closedEvents, [{ peer: silentId, reason: 'timeout', initiator: 'local' }]);
+
+  // Both ends close at once: each close answers the other, nobody sends an accept
+  const [a, b] = [await connectClient(port, { timeout }), await connectClient(port, { timeout })];
+  const criteria = new CriteriaBuilder().withService('crossing').build();
+  await b.register(criteria);
+  const bAnswered = new Promise((resolve) => b.once('connect', async (offer, from) => {
+    // An accept without an answer is refused unless it answers a close
+    await assert.rejects(() => b.accept(from), (err) => err.status === 400 && err.problem.type.endsWith('message_malformatted.html'));
+    assert.equal(server.sessions.get(a.sourceId, b.sourceId).state, 'connecting');
+    resolve(b.accept(from, 'v=0...answer'));
+  }));
+  const aAnswered = new Promise((resolve) => a.once('accept', resolve));
+  await a.connectOffer('v=0...offer', criteria);
+  await Promise.all([bAnswered, aAnswered]);
+  const serverClosed = new Promise((resolve) => server.once('session_closed', resolve));
+  assert.deepEqual(await Promise.all([a.close(b.sourceId), b.close(a.sourceId)]), [
+    { reason: 'closed', initiator: 'local' },
+    { reason: 'closed', initiator: 'local' }
+  ]);
+  await serverClosed;
+  assert.equal(server.sessions.get(a.sourceId, b.sourceId), undefined);
+  assert.equal(a.sessions.size + b.sessions.size, 0);
+
+  ws.close();
+  await server.stop();
+});
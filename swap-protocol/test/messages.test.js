@@ -7,7 +7,9 @@ import {
   ConnectMessage,
   AcceptMessage,
   ResponseMessage,
+  RejectMessage,
   MessageFactory,
+  WireProfiles,
   validateMessageShape,
   SwapMessage
 } from '../src/index.js';
@@ -45,6 +47,68 @@ test('Accept/Response messages validate schemas', () => {
   assert.equal(validateMessageShape(res).valid, true);
 });
 
+test('ts26113 profile renames criteria and reshapes Response/Reject', () => {
+  const con = new ConnectMessage('v=0...offer', [{ type: 'service', value: 'test' }], { source_id: 'endpoint-ts26113' });
+  const wire = JSON.parse(con.serialize(WireProfiles.TS26113));
+  assert.deepEqual(wire.matching_criteria, [{ type: 'service', value: 'test' }]);
+  assert.equal(wire.criteria, undefined);
+  assert.deepEqual(MessageFactory.fromObject(wire).criteria, wire.matching_criteria);
+
+  const ack = new ResponseMessage(7, 200, 'OK', null, { source_id: 'server-zzzzz1', target: 'endpoint-ts26113' });
+  assert.deepEqual(
+    (({ type, target, request, description }) => ({ type, target, request, description }))(ack.toWire(WireProfiles.TS26113)),
+    { type: 'ack', target: 'endpoint-ts26113', request: 7, description: undefined }
+  );
+  const err = new ResponseMessage(8, 404, 'Target cannot be located', { type: 'x', title: 'Target cannot be located', detail: 'nobody', status: 404 }, { source_id: 'server-zzzzz1' });
+  const errWire = JSON.parse(err.serialize(WireProfiles.TS26113));
+  assert.equal(errWire.type, 'error');
+  assert.equal(errWire.description, 'nobody');
+  const errBack = MessageFactory.fromObject(errWire);
+  assert.equal(errBack.response_to, 8);
+  assert.equal(errBack.status, 404);
+
+  const rej = new RejectMessage('endpoint-ts26113', 'busy', { source_id: 'endpoint-other1', request: 3, error_id: 'busy' });
+  const rejWire = JSON.parse(rej.serialize(WireProfiles.TS26113));
+  assert.deepEqual([rejWire.request, rejWire.error_id, rejWire.description, rejWire.reason], [3, 'busy', 'busy', undefined]);
+  // The legacy layout keeps request (it matches a criteria connect) but not error_id
+  assert.deepEqual(Object.keys(JSON.parse(rej.serialize())).sort(), ['message_id', 'message_type', 'reason', 'request', 'source_id', 'target', 'version']);
+});
+
+test('validateMessageShape checks the selected wire profile', () => {
+  const legacy = { version: 1, source_id: 'endpoint-123456', message_id: 1, message_type: 'connect', offer: 'v=0', criteria: [] };
+  const spec = { version: 1, source_id: 'endpoint-123456', message_id: 1, message_type: 'connect', offer: 'v=0', matching_criteria: [] };
+  assert.equal(validateMessageShape(legacy).valid, true);
+  assert.equal(validateMessageShape(spec).valid, true);
+  assert.equal(validateMessageShape(spec, { profile: WireProfiles.LEGACY }).valid, false);
+  assert.equal(validateMessageShape(legacy, { profile: WireProfiles.TS26113 }).valid, false);
+  // A connect names either matching criteria or a known target
+  const direct = { version: 1, source_id: 'endpoint-123456', message_id: 1, message_type: 'connect', offer: 'v=0', target: 'endpoint-654321' };
+  assert.equal(validateMessageShape(direct).valid, true);
+  assert.equal(validateMessageShape(direct, { profile: WireProfiles.TS26113 }).valid, true);
+  assert.equal(validateMessageShape({ ...direct, target: undefined }).valid, false);
+  assert.equal(MessageFactory.fromObject(direct).target, 'endpoint-654321');
+  assert.equal('criteria' in new ConnectMessage('v=0', [], { target: 'endpoint-654321' }), false);
+  const errorWithoutDescription = { version: 1, source_id: 'server-123456', message_id: 1, message_type: 'response', type: 'error', request: 1 };
+  assert.equal(validateMessageShape(errorWithoutDescription).valid, false);
+  // An accept needs its answer unless the receiver allows the answerless accept of a close
+  const closeAccept = { version: 1, source_id: 'endpoint-123456', message_id: 2, message_type: 'accept', target: 'endpoint-654321' };
+  assert.equal(validateMessageShape(closeAccept).valid, false);
+  assert.deepEqual(validateMessageShape(closeAccept, { answerless: true }), { valid: true, answerless: true, errors: [] });
+  assert.equal(validateMessageShape({ ...closeAccept, answer: 'v=0' }, { answerless: true }).answerless, undefined);
+});
+
+test('message_type is case-insensitive and unknown types are flagged', () => {
+  const base = { version: 1, source_id: 'endpoint-123456', message_id: 1 };
+  assert.equal(validateMessageShape({ ...base, message_type: 'Connect', offer: 'v=0', criteria: [] }).valid, true);
+  assert.equal(MessageFactory.fromObject({ ...base, message_type: 'CONNECT', offer: 'v=0', criteria: [] }).message_type, 'connect');
+  const unknown = validateMessageShape({ ...base, message_type: 'subscribe' });
+  assert.equal(unknown.valid, false);
+  assert.equal(unknown.unknown, true);
+  const malformed = validateMessageShape({ ...base, message_type: 'connect' });
+  assert.equal(malformed.valid, false);
+  assert.equal(malformed.unknown, undefined);
+});
+
 // SwapMessage.sign() and SwapMessage.encrypt() tests (TS 26.113 § 13.2.4.5)
 
 test('SwapMessage default - no signing, no encryption', () => {
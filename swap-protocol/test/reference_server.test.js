@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { spawn } from 'node:child_process';
+import { createServer } from 'node:net';
+import { fileURLToPath } from 'node:url';
+
+import { SwapClient, CriteriaBuilder } from '../src/index.node.js';
+
+const serverScript = fileURLToPath(new URL('../../server.js', import.meta.url));
+
+async function freePort() {
+  const probe = createServer().listen(0, '127.0.0.1');
+  await new Promise((resolve) => probe.once('listening', resolve));
+  const { port } = probe.address();
+  await new Promise((resolve) => probe.close(resolve));
+  return port;
+}
+
+// Run the reference server (server.js) on a free port until it reports it is listening
+async function startReferenceServer(env) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [serverScript], {
+    env: { ...process.env, ...env, PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  await new Promise((resolve, reject) => {
+    let output = '';
+    child.stdout.on('data', (chunk) => {
+      output += chunk;
+      if (output.includes('SWAP server listening')) resolve();
+    });
+    child.stderr.on('data', (chunk) => { output += chunk; });
+    child.once('exit', (code) => reject(new Error(`server.js exited with ${code}: ${output}`)));
+  });
+  const stop = async () => {
+    if (child.exitCode !== null) return;
+    const exited = new Promise((resolve) => child.once('exit', resolve));
+    child.kill();
+    await exited;
+  };
+  return { port, stop };
+}
+
+test('Reference server admin discovery requires the admin token and a criteria array', async () => {
+  const token = 'admin-secret-token';
+  const { port, stop } = await startReferenceServer({ SWAP_ADMIN_TOKEN: token });
+  const client = new SwapClient({ host: '127.0.0.1', port, secure: false, timeout: { response: 2000 }, reconnect: { enabled: false } });
+  try {
+    await client.connect();
+    await client.register(new CriteriaBuilder().withService('admin-render').build());
+    const criteria = new CriteriaBuilder().withService('admin-render').build();
+    const discover = (headers, body) => fetch(`http://127.0.0.1:${port}/admin/discover`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...headers },
+      body
+    });
+
+    // Missing, wrong (same length or not) and non-bearer tokens are all refused
+    for (const authorization of [undefined, `Bearer ${token.replace(/.$/, 'X')}`, 'Bearer short', token]) {
+      const res = await discover(authorization ? { authorization } : {}, JSON.stringify({ criteria }));
+      assert.equal(res.status, 401, `authorization: ${authorization}`);
+      assert.deepEqual(await res.json(), { error: 'unauthorized' });
+    }
+
+    const auth = { authorization: `Bearer ${token}` };
+    for (const body of [JSON.stringify({}), JSON.stringify({ criteria: 'service=admin-render' }), '{"criteria": [']) {
+      const res = await discover(auth, body);
+      assert.equal(res.status, 400, `body: ${body}`);
+    }
+
+    const res = await discover(auth, JSON.stringify({ criteria }));
+    assert.equal(res.status, 200);
+    const result = await res.json();
+    assert.equal(result.mode, 'select');
+    assert.deepEqual(result.candidates, [client.sourceId]);
+    assert.deepEqual(result.matches.map(m => m.endpoint), [client.sourceId]);
+  } finally {
+    client.transport.close();
+    await stop();
+  }
+});
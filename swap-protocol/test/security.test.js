@@ -1,7 +1,9 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
 
-import { SecurityManager, ConnectMessage, validateMessageShape } from '../src/index.js';
+import { createHmac, createSign, generateKeyPairSync } from 'node:crypto';
+
+import { SecurityManager, ConnectMessage, validateMessageShape, JwtVerifier, AuthorizationPolicy } from '../src/index.node.js';
 
 test('SecurityManager sign and encrypt roundtrip', async () => {
   const secA = new SecurityManager({ enabled: true, encryption: true, integrity: true, sharedSecret: 'secret123' });
@@ -20,3 +22,67 @@ test('SecurityManager sign and encrypt roundtrip', async () => {
   assert.equal(unpacked.source_id, 'endpoint-A');
 });
 
+
+const b64url = (v) => Buffer.from(typeof v === 'string' ? v : JSON.stringify(v)).toString('base64url');
+
+function signJwt(claims, { alg = 'HS256', secret, privateKey } = {}) {
+  const input = `${b64url({ alg, typ: 'JWT' })}.${b64url(claims)}`;
+  const sig = alg === 'HS256'
+    ? createHmac('sha256', secret).update(input).digest('base64url')
+    : createSign('RSA-SHA256').update(input).sign(privateKey, 'base64url');
+  return `${input}.${sig}`;
+}
+
+test('JwtVerifier verifies HS256 tokens and their claims', async () => {
+  const verifier = new JwtVerifier({ secret: 'jwt-secret', issuer: 'swap-tests', audience: 'swap' });
+  const now = Math.floor(Date.now() / 1000);
+  const claims = await verifier.verify(signJwt({ sub: 'alice', iss: 'swap-tests', aud: ['swap'], exp: now + 60 }, { secret: 'jwt-secret' }));
+  assert.equal(claims.sub, 'alice');
+
+  await assert.rejects(() => verifier.verify(signJwt({ iss: 'swap-tests', aud: 'swap' }, { secret: 'other' })), /invalid signature/);
+  await assert.rejects(() => verifier.verify(signJwt({ iss: 'swap-tests', aud: 'swap', exp: now - 10 }, { secret: 'jwt-secret' })), /expired/);
+  await assert.rejects(() => verifier.verify(signJwt({ iss: 'other', aud: 'swap' }, { secret: 'jwt-secret' })), /issuer/);
+  const unsigned = `${b64url({ alg: 'none' })}.${b64url({ sub: 'mallory' })}.`;
+  await assert.rejects(() => verifier.verify(unsigned), /not allowed/);
+});
+
+test('JwtVerifier verifies RS256 tokens with a PEM public key', async () => {
+  const { publicKey, privateKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const verifier = new JwtVerifier({ publicKey: publicKey.export({ type: 'spki', format: 'pem' }) });
+  const claims = await verifier.verify(signJwt({ sub: 'bob' }, { alg: 'RS256', privateKey }));
+  assert.equal(claims.sub, 'bob');
+  // An HS256 token is refused when only RS256 is configured
+  await assert.rejects(() => verifier.verify(signJwt({ sub: 'bob' }, { secret: 'x' })), /not allowed/);
+});
+
+test('JwtVerifier.extractToken reads query string and Authorization header', () => {
+  assert.equal(JwtVerifier.extractToken({ url: '/3gpp-swap/v1?access_token=abc', headers: {} }), 'abc');
+  assert.equal(JwtVerifier.extractToken({ url: '/3gpp-swap/v1', headers: { authorization: 'Bearer xyz' } }), 'xyz');
+  assert.equal(JwtVerifier.extractToken({ url: '/3gpp-swap/v1', headers: {} }), null);
+});
+
+test('AuthorizationPolicy scopes criteria by identity and names the failing rule', () => {
+  const policy = new AuthorizationPolicy({
+    rules: [
+      { id: 'acme-register', action: 'register', when: { tenant: 'acme' }, allow: [{ type: 'service', value: 'acme-*' }] },
+      { id: 'eu-only', action: 'connect', when: { sub: 'user-*' }, require: [{ type: 'location', value: 'eu' }] }
+    ]
+  });
+  const acme = { subject: 'svc', claims: { tenant: 'acme' } };
+  assert.equal(policy.evaluate('register', acme, [{ type: 'service', value: 'acme-video' }, { type: 'qos', value: 'high' }]).allowed, true);
+  const denied = policy.evaluate('register', acme, [{ type: 'service', value: 'globex-video' }]);
+  assert.deepEqual([denied.allowed, denied.rule], [false, 'acme-register']);
+
+  const user = { subject: 'user-1', claims: { sub: 'user-1' } };
+  assert.equal(policy.evaluate('connect', user, [{ type: 'location', value: 'eu' }]).allowed, true);
+  assert.equal(policy.evaluate('connect', user, [{ type: 'location', value: 'us' }]).rule, 'eu-only');
+  // Rules for other identities do not apply
+  assert.equal(policy.evaluate('register', user, [{ type: 'service', value: 'globex-video' }]).allowed, true);
+  assert.equal(new AuthorizationPolicy({ default: 'deny' }).evaluate('connect', null, []).rule, 'default');
+
+  // Unregistered direct targets need a connect rule that allows them for the identity
+  assert.deepEqual(policy.evaluateUnregistered(user), { allowed: false, rule: 'unregistered', reason: 'target has not registered' });
+  const callbacks = new AuthorizationPolicy({ rules: [{ id: 'callbacks', action: 'connect', when: { tenant: 'acme' }, unregistered: 'allow' }] });
+  assert.deepEqual(callbacks.evaluateUnregistered(acme), { allowed: true, rule: 'callbacks' });
+  assert.equal(callbacks.evaluateUnregistered(user).allowed, false);
+});
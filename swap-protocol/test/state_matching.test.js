@@ -1,7 +1,7 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
 
-import { StateMachine, States, MatchingEngine } from '../src/index.js';
+import { StateMachine, States, SessionStateMachine, SessionStates, MatchingEngine, CriteriaBuilder } from '../src/index.js';
 
 test('StateMachine transitions', () => {
   const sm = new StateMachine();
@@ -26,3 +26,222 @@ test('MatchingEngine finds superset matches and selects', () => {
   assert(['a', 'b'].includes(sel));
 });
 
+
+test('SessionStateMachine tracks the server-side session lifecycle', () => {
+  const sm = new SessionStateMachine();
+  assert.equal(sm.can('update'), false);
+  assert.equal(sm.can('accept'), false);
+  sm.apply('connect');
+  assert.equal(sm.state, SessionStates.CONNECTING);
+  sm.apply('accept');
+  assert.equal(sm.state, SessionStates.CONNECTED);
+  sm.apply('update');
+  assert.equal(sm.state, SessionStates.UPDATING);
+  sm.apply('reject');
+  assert.equal(sm.state, SessionStates.CONNECTED);
+  sm.apply('close');
+  assert.equal(sm.state, SessionStates.CLOSING);
+  assert.equal(sm.can('update'), false);
+  sm.apply('accept');
+  assert.equal(sm.state, SessionStates.IDLE);
+});
+
+test('MatchingEngine applies typed comparators per criterion type', () => {
+  const m = new MatchingEngine();
+  m.register('edge-paris', new CriteriaBuilder()
+    .withIpv4('10.1.2.3').withIpv6('2001:db8::10').withFqdn('edge1.paris.example.com')
+    .withArea('eu', 'fr', 'paris').withQos({ bandwidthKbps: 8000, latencyMs: 15 }).build());
+  m.register('edge-nyc', new CriteriaBuilder()
+    .withIpv4('192.168.0.7').withFqdn('edge.nyc.example.net').withGeo(40.71, -74.0).withQos('high').build());
+
+  const find = (build) => m.findMatches(build(new CriteriaBuilder()).build());
+  assert.deepEqual(find(b => b.withIpv4('10.0.0.0/8')), ['edge-paris']);
+  assert.deepEqual(find(b => b.withIpv6('2001:db8::/32')), ['edge-paris']);
+  assert.deepEqual(find(b => b.withFqdn('.example.com')), ['edge-paris']);
+  assert.deepEqual(find(b => b.withFqdn('*.nyc.example.net')), ['edge-nyc']);
+  assert.deepEqual(find(b => b.withFqdn('*.example.net')), []); // a wildcard covers a single label
+  assert.deepEqual(find(b => b.withArea('eu')), ['edge-paris']);
+  assert.deepEqual(find(b => b.withArea('eu', 'de')), []);
+  assert.deepEqual(find(b => b.withGeo(40.73, -73.99, 10)), ['edge-nyc']);
+  assert.deepEqual(find(b => b.withQosThresholds({ bandwidthKbps: { min: 5000 }, latencyMs: { max: 20 } })), ['edge-paris']);
+  assert.deepEqual(find(b => b.withQosThresholds({ latencyMs: { max: 10 } })), []);
+  assert.deepEqual(find(b => b.withQos('high')), ['edge-nyc']);
+});
+
+test('MatchingEngine accepts comparators for custom criterion types', () => {
+  const m = new MatchingEngine({ comparators: { gpu: (registered, requested) => registered.vramGb >= requested.vramGb } });
+  m.register('small', [{ type: 'gpu', value: { vramGb: 8 } }]);
+  m.register('large', [{ type: 'gpu', value: { vramGb: 48 } }]);
+  assert.deepEqual(m.findMatches([{ type: 'gpu', value: { vramGb: 24 } }]), ['large']);
+  m.registerComparator('gpu', () => true);
+  assert.equal(m.findMatches([{ type: 'gpu', value: { vramGb: 24 } }]).length, 2);
+});
+
+test('MatchingEngine deprioritizes endpoints that did not register soft criteria', () => {
+  const m = new MatchingEngine();
+  m.register('full', [{ type: 'service', value: 'xr' }, { type: 'qos', value: 'high' }]);
+  m.register('bare', [{ type: 'service', value: 'xr' }]);
+  m.register('low', [{ type: 'service', value: 'xr' }, { type: 'qos', value: 'low' }]);
+  m.register('other', [{ type: 'service', value: 'chat' }, { type: 'qos', value: 'high' }]);
+
+  const ranked = m.rank([{ type: 'service', value: 'xr' }, { type: 'qos', value: 'high' }]);
+  assert.deepEqual(ranked.map(r => [r.endpointId, r.score]), [['full', 2], ['bare', 1]]);
+  assert.deepEqual(ranked[1].deprioritized, ['qos']);
+  assert.match(ranked[1].explanation, /did not register qos/);
+  assert.equal(m.selectEndpoint(ranked), 'full');
+
+  // Equal top scores are picked at random
+  m.register('full2', [{ type: 'service', value: 'xr' }, { type: 'qos', value: 'high' }]);
+  const picks = new Set();
+  for (let i = 0; i < 50; i++) picks.add(m.selectEndpoint(m.rank([{ type: 'service', value: 'xr' }, { type: 'qos', value: 'high' }])));
+  assert.deepEqual([...picks].sort(), ['full', 'full2']);
+});
+
+test('MatchingEngine matches processing criteria as decode/encode pairs', () => {
+  const m = new MatchingEngine();
+  m.register('edge-a', new CriteriaBuilder().withService('split-rendering').withProcessing(['hevc', 'gltf'], 'h264').build());
+  m.register('edge-b', new CriteriaBuilder().withService('split-rendering')
+    .withProcessingPairs([{ decode: 'gltf', encode: 'av1' }, { decode: 'gltf', encode: 'h264' }]).build());
+
+  const find = (b) => m.findMatches(b.withService('split-rendering').build()).sort();
+  assert.deepEqual(find(new CriteriaBuilder().withProcessing('gltf', 'h264')), ['edge-a', 'edge-b']);
+  assert.deepEqual(find(new CriteriaBuilder().withProcessing('GLTF', ['h264', 'av1'])), ['edge-b']);
+  assert.deepEqual(find(new CriteriaBuilder().withProcessing('hevc', 'h264')), ['edge-a']);
+  assert.deepEqual(find(new CriteriaBuilder().withProcessing('hevc', 'av1')), []);
+});
+
+test('MatchingEngine selection strategies', () => {
+  const criteria = [{ type: 'service', value: 'pool' }];
+  const m = new MatchingEngine({ strategy: 'least-sessions', serviceStrategies: { weighted: 'weighted-round-robin' } });
+  m.register('mf-1', criteria);
+  m.register('mf-2', criteria);
+  const load = { 'mf-1': 3, 'mf-2': 1 };
+  assert.equal(m.selectEndpoint(m.rank(criteria), { criteria, load: (id) => load[id] }), 'mf-2');
+
+  const weighted = [{ type: 'service', value: 'weighted' }];
+  m.register('w-3', weighted, { weight: 3 });
+  m.register('w-1', weighted, { weight: 1 });
+  const picks = [];
+  for (let i = 0; i < 8; i++) picks.push(m.selectEndpoint(m.rank(weighted), { criteria: weighted }));
+  assert.equal(picks.filter(p => p === 'w-3').length, 6);
+
+  m.setStrategy({ name: 'consistent-hash', criterion: 'user' });
+  m.register('mf-3', criteria);
+  const first = m.selectEndpoint(m.rank(criteria), { criteria, source: 'ep-caller-1' });
+  assert.ok(first);
+  for (let i = 0; i < 10; i++) assert.equal(m.selectEndpoint(m.rank(criteria), { criteria, source: 'ep-caller-1' }), first);
+
+  // Keyed on the user criterion: a user's registered devices
+  const devices = [{ type: 'user', value: 'sip:alice@example.com' }];
+  m.register('phone', devices);
+  m.register('tablet', devices);
+  const device = m.selectEndpoint(m.rank(devices), { criteria: devices, source: 'ep-caller-2' });
+  for (let i = 0; i < 10; i++) assert.equal(m.selectEndpoint(m.rank(devices), { criteria: devices, source: `ep-${i}` }), device);
+});
+
+test('MatchingEngine keeps its criterion index in step with register and unregister', () => {
+  const m = new MatchingEngine();
+  m.register('ep-1', [{ type: 'service', value: 'chat' }, { type: 'location', value: 'eu/fr' }]);
+  m.register('ep-2', [{ type: 'service', value: 'chat' }]);
+  assert.deepEqual(m.findMatches([{ type: 'service', value: 'chat' }, { type: 'location', value: 'eu' }]), ['ep-1']);
+
+  // Re-registering replaces the indexed criteria
+  m.register('ep-1', [{ type: 'service', value: 'video' }]);
+  assert.deepEqual(m.findMatches([{ type: 'service', value: 'chat' }]), ['ep-2']);
+  assert.deepEqual(m.findMatches([{ type: 'service', value: 'video' }]), ['ep-1']);
+  assert.deepEqual(m.findMatches([{ type: 'location', value: 'eu' }]), []);
+
+  m.unregister('ep-2');
+  assert.deepEqual(m.findMatches([{ type: 'service', value: 'chat' }]), []);
+  assert.equal(m.byValue.size, 1);
+  assert.equal(m.byType.size, 1);
+  assert.deepEqual(m.findMatches([]), ['ep-1']);
+});
+
+test('MatchingEngine value indexes agree with a full scan of the typed comparators', () => {
+  const indexed = new MatchingEngine();
+  // Wrapping the built-in comparators drops their value indexes, so this one scans byType
+  const scanned = new MatchingEngine();
+  for (const type of ['location', 'ipv4', 'ipv6', 'qos']) {
+    const builtin = scanned.comparators.get(type);
+    scanned.registerComparator(type, (a, b) => builtin(a, b));
+  }
+  assert.equal(indexed.valueIndexes.size, 4);
+  assert.equal(scanned.valueIndexes.size, 0);
+
+  const registrations = {
+    'ep-paris': [{ type: 'location', value: 'EU/fr/paris' }, { type: 'ipv4', value: '10.1.2.3' }, { type: 'qos', value: { latencyMs: 12, bandwidthKbps: 5000 } }],
+    'ep-fr': [{ type: 'location', value: 'eu/fr' }, { type: 'ipv4', value: '10.1.0.0/16' }, { type: 'qos', value: 'high' }],
+    'ep-lyon': [{ type: 'location', value: ['eu/fr/lyon', 'eu/de'] }, { type: 'ipv4', value: '10.1.2.128/25' }, { type: 'qos', value: { latencyMs: 40 } }],
+    'ep-geo': [{ type: 'location', value: { lat: 48.85, lon: 2.35, radiusKm: 10 } }, { type: 'ipv6', value: '2001:db8::/32' }],
+    'ep-v6': [{ type: 'ipv6', value: '2001:db8:1::7' }, { type: 'qos', value: { latencyMs: -1.5, bandwidthKbps: 0.25 } }],
+    'ep-bare': [{ type: 'service', value: 'chat' }]
+  };
+  for (const [id, criteria] of Object.entries(registrations)) {
+    indexed.register(id, criteria);
+    scanned.register(id, criteria);
+  }
+
+  const requests = [
+    { type: 'location', value: 'eu' }, { type: 'location', value: 'eu/fr/paris/15e' }, { type: 'location', value: 'EU/FR/' },
+    { type: 'location', value: ['eu/de/berlin', 'us'] }, { type: 'location', value: { lat: 48.86, lon: 2.34, radiusKm: 1 } },
+    { type: 'location', value: '/' }, { type: 'location', value: 42 },
+    { type: 'ipv4', value: '10.1.2.200' }, { type: 'ipv4', value: '10.1.2.0/24' }, { type: 'ipv4', value: '10.0.0.0/8' },
+    { type: 'ipv4', value: '0.0.0.0/0' }, { type: 'ipv4', value: '10.1.2.3/31' }, { type: 'ipv4', value: 'not-an-address' },
+    { type: 'ipv6', value: '2001:db8:1::/48' }, { type: 'ipv6', value: '2001:db8:ffff::1' }, { type: 'ipv6', value: '::/0' },
+    { type: 'qos', value: { latencyMs: { max: 20 } } }, { type: 'qos', value: { latencyMs: { min: 12, max: 40 } } },
+    { type: 'qos', value: { latencyMs: { min: -2 }, bandwidthKbps: { max: 1 } } }, { type: 'qos', value: { latencyMs: 40 } },
+    { type: 'qos', value: { bandwidthKbps: { min: 4999.9 } } }, { type: 'qos', value: 'high' }, { type: 'qos', value: {} },
+    { type: 'qos', value: { latencyMs: { max: 'x' } } }
+  ];
+  const sorted = (ids) => [...ids].sort();
+  for (const request of requests) {
+    assert.deepEqual(sorted(indexed.findMatches([request])), sorted(scanned.findMatches([request])), JSON.stringify(request));
+  }
+  // qos is soft: endpoints without it stay candidates, behind the ones that satisfy it
+  assert.deepEqual(sorted(indexed.findMatches([{ type: 'qos', value: 'high' }])), ['ep-bare', 'ep-fr', 'ep-geo']);
+  assert.equal(indexed.rank([{ type: 'qos', value: 'high' }])[0].endpointId, 'ep-fr');
+
+  // Unregistering empties every index
+  for (const id of Object.keys(registrations)) indexed.unregister(id);
+  const location = indexed.valueIndexes.get('location');
+  const ipv4 = indexed.valueIndexes.get('ipv4');
+  const qos = indexed.valueIndexes.get('qos');
+  assert.deepEqual([location.at.size, location.under.size, location.geo.size], [0, 0, 0]);
+  assert.deepEqual([ipv4.exact.size, ipv4.within.size], [0, 0]);
+  assert.deepEqual([qos.buckets.size, qos.values.size, qos.plain.size, qos.objects.size], [0, 0, 0, 0]);
+  assert.equal(indexed.lacking.get('qos').size, 0);
+});
+
+test('MatchingEngine affinity prefers the endpoint that last served a key', async () => {
+  const m = new MatchingEngine({ affinity: { ttl: 30 } });
+  const pool = new CriteriaBuilder().withService('game').build();
+  for (const id of ['mf-1', 'mf-2', 'mf-3', 'mf-4']) m.register(id, pool);
+
+  // Keyed on the caller's user criterion, passed in the selection context; selecting alone records nothing
+  const alice = [...pool, { type: 'user', value: 'alice' }];
+  const first = m.selectEndpoint(m.rank(pool), { criteria: alice });
+  assert.equal(m.preferred(m.rank(pool), alice), null);
+  m.remember(alice, first);
+  for (let i = 0; i < 10; i++) assert.equal(m.selectEndpoint(m.rank(pool), { criteria: alice }), first);
+
+  // An explicit key wins over the user criterion and is never matched against registrations
+  const keyed = new CriteriaBuilder().withService('game').withAffinity('match-42').build();
+  assert.equal(m.rank(keyed).length, 4);
+  const host = m.selectEndpoint(m.rank(keyed), { criteria: keyed });
+  m.remember(keyed, host);
+  for (let i = 0; i < 10; i++) assert.equal(m.selectEndpoint(m.rank(keyed), { criteria: keyed }), host);
+
+  // Forgetting for other criteria, or another endpoint, leaves the key alone
+  m.forget(host, alice);
+  m.forget(host === 'mf-1' ? 'mf-2' : 'mf-1', keyed);
+  assert.equal(m.preferred(m.rank(keyed), keyed), host);
+  m.forget(first);
+  assert.equal(m.preferred(m.rank(pool), alice), null);
+
+  // Not preferred once it is no longer among the matches, nor after the TTL
+  const others = m.rank(keyed).filter(r => r.endpointId !== host);
+  assert.notEqual(m.selectEndpoint(others, { criteria: keyed }), host);
+  await new Promise((r) => setTimeout(r, 40));
+  assert.equal(m.preferred(m.rank(keyed), keyed), null);
+});